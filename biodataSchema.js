@@ -0,0 +1,256 @@
+// Declarative schema for biodata create (POST /biodatas) and update (PATCH /biodatas/:id)
+
+const BIODATA_TYPES = ['Male', 'Female'];
+const DIVISIONS = ['Dhaka', 'Chattagra', 'Rangpur', 'Barisal', 'Khulna', 'Mymensingh', 'Sylhet', 'Rajshahi'];
+// Divisions sharing a border, for "nearby" matching
+const DIVISION_NEIGHBOURS = {
+  Dhaka: ['Mymensingh', 'Sylhet', 'Chattagra', 'Barisal', 'Khulna', 'Rajshahi'],
+  Chattagra: ['Dhaka', 'Sylhet', 'Barisal'],
+  Rangpur: ['Rajshahi', 'Mymensingh'],
+  Barisal: ['Dhaka', 'Khulna', 'Chattagra'],
+  Khulna: ['Rajshahi', 'Dhaka', 'Barisal'],
+  Mymensingh: ['Dhaka', 'Sylhet', 'Rangpur', 'Rajshahi'],
+  Sylhet: ['Mymensingh', 'Dhaka', 'Chattagra'],
+  Rajshahi: ['Rangpur', 'Khulna', 'Dhaka', 'Mymensingh'],
+};
+const PHOTO_VISIBILITIES = ['public', 'premium', 'contacts'];
+const MIN_AGE = 18;
+const MAX_AGE = 100;
+
+const PHONE_PATTERN = /^\+?[0-9]{10,15}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Whole years between a date of birth and `now`
+const ageFromDob = (dob, now = new Date()) => {
+  const birth = new Date(`${dob}T00:00:00Z`);
+  let age = now.getUTCFullYear() - birth.getUTCFullYear();
+  const beforeBirthday = now.getUTCMonth() < birth.getUTCMonth()
+    || (now.getUTCMonth() === birth.getUTCMonth() && now.getUTCDate() < birth.getUTCDate());
+  if (beforeBirthday) age -= 1;
+  return age;
+};
+
+const isDate = (value) => typeof value === 'string' && DATE_PATTERN.test(value)
+  && !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime());
+
+// Age today from dob; older biodatas have no usable dob (often '') and keep their stored age
+const currentAge = (biodata) => (isDate(biodata.dob) ? ageFromDob(biodata.dob) : biodata.age);
+
+const string = ({ max = 100 } = {}) => (value) => {
+  const trimmed = String(value).trim();
+  if (trimmed.length > max) return { error: `must be at most ${max} characters` };
+  return { value: trimmed };
+};
+
+// Case-insensitive match, stored with the canonical spelling
+const oneOf = (allowed) => (value) => {
+  const match = allowed.find((option) => option.toLowerCase() === String(value).trim().toLowerCase());
+  if (!match) return { error: `must be one of: ${allowed.join(', ')}` };
+  return { value: match };
+};
+
+const numberInRange = (min, max) => (value) => {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    return { error: `must be a number between ${min} and ${max}` };
+  }
+  return { value: number };
+};
+
+const phone = (value) => {
+  const normalized = String(value).replace(/[\s()-]/g, '');
+  if (!PHONE_PATTERN.test(normalized)) return { error: 'must be a phone number with 10 to 15 digits' };
+  return { value: normalized };
+};
+
+const email = (value) => {
+  const normalized = String(value).trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(normalized)) return { error: 'must be a valid email address' };
+  return { value: normalized };
+};
+
+// 5'6", 5' 6'', 5 ft 6 in -> centimetres
+const FEET_INCHES_PATTERN = /^(\d+(?:\.\d+)?)\s*(?:'|ft|feet)\s*(?:(\d+(?:\.\d+)?)\s*(?:"|''|in|inch|inches)?)?$/;
+const RANGE_SEPARATOR = /\s*(?:-|–|\bto\b)\s*/;
+const LOWER_BOUND_PATTERNS = [
+  /^(?:>=?|min(?:imum)?|at least|from|above|over)\s*(.+)$/,
+  /^(.+?)\s*(?:\+|or (?:above|more|older|taller|heavier))$/,
+];
+const UPPER_BOUND_PATTERNS = [
+  /^(?:<=?|max(?:imum)?|up ?to|under|below|at most)\s*(.+)$/,
+  /^(.+?)\s*or (?:below|less|younger|shorter|lighter)$/,
+];
+
+// A single number with an optional unit; NaN when it cannot be read
+const parseMeasure = (text, { feetInches = false } = {}) => {
+  const token = String(text).trim().toLowerCase().replace(/\s*(?:years?|yrs?|cm|kgs?)$/, '');
+  if (feetInches) {
+    const match = token.match(FEET_INCHES_PATTERN);
+    if (match) return Math.round((Number(match[1]) * 12 + Number(match[2] || 0)) * 2.54);
+  }
+  return token === '' ? NaN : Number(token);
+};
+
+const parseRangeText = (text, options) => {
+  const trimmed = text.trim().toLowerCase();
+  const lower = LOWER_BOUND_PATTERNS.map((pattern) => trimmed.match(pattern)).find(Boolean);
+  if (lower) return { min: parseMeasure(lower[1], options), max: null };
+  const upper = UPPER_BOUND_PATTERNS.map((pattern) => trimmed.match(pattern)).find(Boolean);
+  if (upper) return { min: null, max: parseMeasure(upper[1], options) };
+
+  const parts = trimmed.split(RANGE_SEPARATOR);
+  if (parts.length === 1) {
+    const exact = parseMeasure(parts[0], options);
+    return { min: exact, max: exact };
+  }
+  if (parts.length === 2) return { min: parseMeasure(parts[0], options), max: parseMeasure(parts[1], options) };
+  return null;
+};
+
+/**
+ * Read a partner preference into `{ min, max }` (either bound may be null for open ranges).
+ *
+ * Accepts `{ min, max }` objects, plain numbers and free text such as "25-30", "25 to 30",
+ * "25+", "under 30" or, with `feetInches`, "5'4\"-5'10\"". Also used on legacy values that
+ * were stored as free strings. Returns null when nothing usable can be read.
+ */
+const parsePartnerRange = (value, options = {}) => {
+  if (value === null || value === undefined) return null;
+  let range;
+  if (typeof value === 'object' && !Array.isArray(value)) {
+    const bound = (b) => (b === null || b === undefined || b === '' ? null : parseMeasure(b, options));
+    range = { min: bound(value.min), max: bound(value.max) };
+  } else if (typeof value === 'number') {
+    range = { min: value, max: value };
+  } else if (typeof value === 'string') {
+    range = parseRangeText(value, options);
+  }
+  if (!range || Number.isNaN(range.min) || Number.isNaN(range.max)) return null;
+  if (range.min === null && range.max === null) return null;
+  return range;
+};
+
+const range = (min, max, options = {}) => (value) => {
+  const parsed = parsePartnerRange(value, options);
+  if (!parsed || [parsed.min, parsed.max].some((bound) => bound !== null && (bound < min || bound > max))) {
+    return { error: `must be a range between ${min} and ${max}, such as "${min}-${max}", "${min}+" or { "min": ${min}, "max": ${max} }` };
+  }
+  if (parsed.min !== null && parsed.max !== null && parsed.min > parsed.max) {
+    return { error: 'minimum must not be greater than maximum' };
+  }
+  return { value: parsed };
+};
+
+const dateOfBirth = (value) => {
+  const dob = String(value).trim().slice(0, 10);
+  if (!isDate(dob)) {
+    return { error: 'must be a date in YYYY-MM-DD format' };
+  }
+  const age = ageFromDob(dob);
+  if (age < MIN_AGE || age > MAX_AGE) return { error: `age must be between ${MIN_AGE} and ${MAX_AGE}` };
+  return { value: dob };
+};
+
+// input: request body key; field: stored member key (defaults to input)
+const BIODATA_SCHEMA = [
+  { input: 'biodataType', required: true, parse: oneOf(BIODATA_TYPES) },
+  { input: 'name', required: true, parse: string() },
+  { input: 'dateOfBirth', field: 'dob', required: true, parse: dateOfBirth },
+  { input: 'height', parse: numberInRange(100, 250) }, // cm
+  { input: 'weight', parse: numberInRange(30, 200) }, // kg
+  { input: 'occupation', parse: string() },
+  { input: 'race', parse: string() },
+  { input: 'fatherName', parse: string() },
+  { input: 'motherName', parse: string() },
+  { input: 'permanentDivision', required: true, parse: oneOf(DIVISIONS) },
+  { input: 'presentDivision', parse: oneOf(DIVISIONS) },
+  // Partner preferences are stored as { min, max } ranges in the same units as the fields above
+  { input: 'expectedPartnerAge', field: 'partnerAge', parse: range(MIN_AGE, MAX_AGE) },
+  { input: 'expectedPartnerHeight', field: 'partnerHeight', parse: range(100, 250, { feetInches: true }) },
+  { input: 'expectedPartnerWeight', field: 'partnerWeight', parse: range(30, 200) },
+  { input: 'contactEmail', parse: email },
+  { input: 'mobileNumber', required: true, parse: phone },
+  { input: 'maritalStatus', parse: string({ max: 50 }) },
+  { input: 'photoVisibility', parse: oneOf(PHOTO_VISIBILITIES) },
+];
+
+const isBlank = (value) => value === null || (typeof value === 'string' && value.trim() === '');
+
+// Fields named in `unset` (array or comma-separated string) are cleared on update
+const parseUnsetList = (unset) => {
+  if (!unset) return [];
+  const list = Array.isArray(unset) ? unset : String(unset).split(',');
+  return list.map((name) => name.trim()).filter(Boolean);
+};
+
+/**
+ * Validate a biodata request body.
+ *
+ * On create (`partial: false`) every required field must be present. On update only the
+ * fields sent are touched: a blank value or a name listed in `unset` clears the field,
+ * which is refused for required fields. Unknown keys are ignored.
+ *
+ * Returns `{ set, unset, errors }` where `set` and `unset` use stored field names and
+ * `errors` maps request field names to messages (null when valid).
+ */
+const validateBiodata = (body = {}, { partial = false } = {}) => {
+  const set = {};
+  const unset = [];
+  const errors = {};
+  const unsetRequested = parseUnsetList(body.unset);
+
+  unsetRequested.forEach((name) => {
+    if (!BIODATA_SCHEMA.some((rule) => rule.input === name)) {
+      errors[name] = 'is not a field that can be cleared';
+    }
+  });
+
+  BIODATA_SCHEMA.forEach(({ input, field = input, required = false, parse }) => {
+    const provided = Object.prototype.hasOwnProperty.call(body, input) && body[input] !== undefined;
+    const clearing = unsetRequested.includes(input) || (provided && isBlank(body[input]));
+
+    if (clearing) {
+      if (required) {
+        errors[input] = 'is required and cannot be cleared';
+      } else if (partial) {
+        unset.push(field);
+      }
+      return;
+    }
+    if (!provided) {
+      if (required && !partial) errors[input] = 'is required';
+      return;
+    }
+
+    const result = parse(body[input]);
+    if (result.error) {
+      errors[input] = result.error;
+    } else {
+      set[field] = result.value;
+    }
+  });
+
+  // Age is always derived from the date of birth; a submitted age must agree with it
+  if (set.dob) {
+    set.age = ageFromDob(set.dob);
+    if (body.age !== undefined && !isBlank(body.age) && Number(body.age) !== set.age) {
+      errors.age = `does not match dateOfBirth (expected ${set.age})`;
+    }
+  } else if (body.age !== undefined && !isBlank(body.age)) {
+    errors.age = 'is derived from dateOfBirth; send dateOfBirth instead';
+  }
+
+  return { set, unset, errors: Object.keys(errors).length > 0 ? errors : null };
+};
+
+module.exports = {
+  BIODATA_TYPES,
+  DIVISIONS,
+  DIVISION_NEIGHBOURS,
+  PHOTO_VISIBILITIES,
+  ageFromDob,
+  currentAge,
+  parsePartnerRange,
+  validateBiodata,
+};
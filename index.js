@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
@@ -5,9 +6,15 @@ const { MongoClient, ServerApiVersion, ObjectId } = require('mongodb');
 const multer = require('multer');
 const axios = require('axios');
 const axiosRetry = require('axios-retry').default;
-const FormData = require('form-data');
 const admin = require('firebase-admin');
-const sharp = require('sharp');
+const { ROLES, PERMISSIONS, isValidRole, getPermissions, hasPermission } = require('./permissions');
+const {
+  BIODATA_TYPES, DIVISIONS, DIVISION_NEIGHBOURS, currentAge, parsePartnerRange, validateBiodata,
+} = require('./biodataSchema');
+const { MATCH_CRITERIA, MATCH_FIELDS, scoreMatch } = require('./matching');
+const { createImageStorage, createPhotoUrlSigner, isPrivateRef, removeImageVariants, storeImageVariants } = require('./storage');
+const { MAX_STREAM_DURATION_MS, openNotificationStream } = require('./notifications');
+const { EMAIL_CATEGORIES, createMailTransport, maskAddress, renderEmail } = require('./mail');
 
 
 const app = express();
@@ -19,7 +26,7 @@ const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 console.log('STRIPE_SECRET_KEY:', process.env.STRIPE_SECRET_KEY);
 
 // Validate environment variables
-const requiredEnvVars = ['FIREBASE_PROJECT_ID', 'FIREBASE_PRIVATE_KEY', 'FIREBASE_CLIENT_EMAIL', 'DB_USER', 'DB_PASS', 'IMGBB_KEY', 'STRIPE_SECRET_KEY'];
+const requiredEnvVars = ['FIREBASE_PROJECT_ID', 'FIREBASE_PRIVATE_KEY', 'FIREBASE_CLIENT_EMAIL', 'DB_USER', 'DB_PASS', 'STRIPE_SECRET_KEY'];
 const missingEnvVars = requiredEnvVars.filter((varName) => !process.env[varName]);
 if (missingEnvVars.length > 0) {
   console.error(`Missing required environment variables: ${missingEnvVars.join(', ')}`);
@@ -40,9 +47,60 @@ try {
   process.exit(1);
 }
 
+// Image storage driver (IMAGE_STORAGE=imgbb|local|s3)
+let imageStorage;
+try {
+  imageStorage = createImageStorage(process.env, { port });
+  console.log(`Image storage: ${imageStorage.name}`);
+} catch (error) {
+  console.error('Failed to configure image storage:', error.message);
+  process.exit(1);
+}
+
+// Where this server is reachable from clients, for links to files it serves
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${port}`).replace(/\/$/, '');
+
+// Unblurred photos on the local and s3 drivers are private and handed out as signed URLs
+let photoUrlSecret = process.env.PHOTO_URL_SECRET;
+if (!photoUrlSecret && imageStorage.supportsPrivate) {
+  if (process.env.NODE_ENV === 'production') {
+    console.error(`PHOTO_URL_SECRET is required with IMAGE_STORAGE=${imageStorage.name} in production`);
+    process.exit(1);
+  }
+  photoUrlSecret = crypto.randomBytes(32).toString('hex');
+  console.warn('PHOTO_URL_SECRET is not set; signed photo URLs stop working when the server restarts');
+}
+const photoUrlSigner = createPhotoUrlSigner({
+  secret: photoUrlSecret || '',
+  baseUrl: PUBLIC_BASE_URL,
+  ttlSeconds: parseInt(process.env.PHOTO_URL_TTL_SECONDS, 10) || 15 * 60,
+});
+
+// Mail transport for the email outbox (MAIL_TRANSPORT=console|file|smtp)
+let mailTransport;
+try {
+  mailTransport = createMailTransport(process.env);
+  console.log(`Mail transport: ${mailTransport.name}`);
+} catch (error) {
+  console.error('Failed to configure mail transport:', error.message);
+  process.exit(1);
+}
+
 // Middleware
-app.use(cors({ origin: 'http://localhost:5173', credentials: true }));
-app.use(express.json());
+app.use(cors({ origin: 'http://localhost:5173', credentials: true, exposedHeaders: ['X-Claims-Refresh'] }));
+// Behind Vercel's proxy, so req.ip reflects the client address
+app.set('trust proxy', true);
+// Keep the raw body around so Stripe webhook signatures can be verified
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
+
+// Serve locally stored images
+if (imageStorage.name === 'local') {
+  app.use(imageStorage.publicPath, express.static(imageStorage.directory, { maxAge: '365d', immutable: true }));
+}
 
 // Multer setup for file uploads
 const storage = multer.memoryStorage();
@@ -51,20 +109,122 @@ const upload = multer({
   limits: { fileSize: 5 * 1024 * 1024 }, // Limit to 5MB
 });
 
-// Authentication middleware
-const authenticate = async (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
+// Verify an ID token; tokens carrying a staff role are also checked for revocation
+// so that a demoted user loses access immediately
+const verifyToken = async (token) => {
+  const decoded = await admin.auth().verifyIdToken(token);
+  if (decoded.role && decoded.role !== 'user') {
+    return admin.auth().verifyIdToken(token, true);
+  }
+  return decoded;
+};
+
+// Build req.user from a verified token. Role and premium state come from custom claims,
+// falling back to the users collection for tokens issued before the claims were set.
+const userFromToken = async (decoded, res) => {
+  const user = { email: decoded.email.toLowerCase(), uid: decoded.uid };
+  if (typeof decoded.role === 'string') {
+    user.role = decoded.role;
+    user.isPremium = decoded.isPremium === true && (!decoded.premiumUntil || decoded.premiumUntil > Date.now());
+    return user;
+  }
+
+  const userDoc = await usersCollection.findOne({
+    email: { $regex: new RegExp(`^${escapeRegex(user.email)}$`, 'i') }
+  });
+  user.role = userDoc?.role || 'user';
+  user.isPremium = userDoc?.isPremium || false;
+  if (userDoc?.claimsSyncedAt) {
+    // Claims exist, the client just has an old token
+    res.set('X-Claims-Refresh', 'true');
+  } else if (userDoc) {
+    syncUserClaims(userDoc).catch((error) => {
+      console.error(`Failed to sync custom claims for ${user.email}:`, error.message);
+    });
+  }
+  return user;
+};
+
+const bearerToken = (req) => req.headers.authorization?.split(' ')[1];
+
+// Authentication middleware reading the ID token with `getToken`
+const authenticateWith = (getToken) => async (req, res, next) => {
+  const token = getToken(req);
   if (!token) {
     return res.status(401).json({ error: 'Unauthorized: No token provided' });
   }
+  let decoded;
   try {
-    const decoded = await admin.auth().verifyIdToken(token);
-    req.user = { email: decoded.email.toLowerCase(), uid: decoded.uid };
-    next();
+    decoded = await verifyToken(token);
   } catch (error) {
     console.error('Authentication error:', error.message);
-    res.status(401).json({ error: 'Unauthorized: Invalid token', details: error.message });
+    return res.status(401).json({ error: 'Unauthorized: Invalid token', details: error.message });
+  }
+  try {
+    req.user = await userFromToken(decoded, res);
+    req.tokenExpiresAt = decoded.exp * 1000;
+    next();
+  } catch (error) {
+    console.error('Failed to load user for token:', error.message);
+    res.status(500).json({ error: 'Failed to load user', details: error.message });
+  }
+};
+
+const authenticate = authenticateWith(bearerToken);
+
+// EventSource cannot set headers, so event streams authenticate with a single-use ticket from
+// POST /notifications/stream-ticket rather than putting the ID token in the URL (and in access logs)
+const STREAM_TICKET_TTL_MS = 60 * 1000;
+const hashStreamTicket = (ticket) => crypto.createHash('sha256').update(ticket).digest('hex');
+
+const authenticateStreamTicket = async (req, res, next) => {
+  const { ticket } = req.query;
+  if (typeof ticket !== 'string' || !ticket) {
+    return res.status(401).json({ error: 'Unauthorized: No stream ticket provided' });
+  }
+  try {
+    const issued = await streamTicketsCollection.findOneAndDelete({
+      ticketHash: hashStreamTicket(ticket),
+      expiresAt: { $gt: new Date() },
+    });
+    if (!issued) {
+      return res.status(401).json({ error: 'Unauthorized: Invalid or expired stream ticket' });
+    }
+    req.user = { email: issued.email, uid: issued.uid };
+    req.tokenExpiresAt = issued.tokenExpiresAt.getTime();
+    next();
+  } catch (error) {
+    console.error('Stream ticket authentication error:', error.message);
+    res.status(500).json({ error: 'Failed to check stream ticket', details: error.message });
+  }
+};
+
+// Like authenticate, but lets anonymous visitors through with req.user unset
+const optionalAuthenticate = async (req, res, next) => {
+  const token = bearerToken(req);
+  if (!token) {
+    return next();
+  }
+  try {
+    req.user = await userFromToken(await verifyToken(token), res);
+  } catch (error) {
+    console.warn('Optional authentication failed, continuing anonymously:', error.message);
+  }
+  next();
+};
+
+// Scheduled jobs run through Vercel Cron, which sends `Authorization: Bearer $CRON_SECRET`.
+// The schedules in vercel.json (hourly, six-hourly, every minute) need a Vercel Pro plan: Hobby
+// allows at most one run a day per job and rejects the deploy. On Hobby, remove `crons` from
+// vercel.json and call these endpoints from an external scheduler with the same header.
+const authorizeCron = (req, res, next) => {
+  const secret = Buffer.from(process.env.CRON_SECRET || '');
+  const token = Buffer.from(bearerToken(req) || '');
+  const matches = secret.length > 0 && token.length === secret.length && crypto.timingSafeEqual(token, secret);
+  if (!matches) {
+    return res.status(401).json({ error: 'Unauthorized' });
   }
+  next();
 };
 
 // MongoDB Connection
@@ -85,27 +245,752 @@ let premiumRequestsCollection;
 let success_counters;
 let favouritesCollection;
 let contactRequestsCollection;
+let stripeEventsCollection;
+let plansCollection;
+let auditLogCollection;
+let conversationsCollection;
+let messagesCollection;
+let notificationsCollection;
+let emailOutboxCollection;
+let reportsCollection;
+let blocksCollection;
+let streamTicketsCollection;
+let migrationsCollection;
+
+// Role of an authenticated user, loaded once per request
+const getUserRole = async (user) => {
+  if (user.role === undefined) {
+    const userDoc = await usersCollection.findOne(
+      { email: { $regex: new RegExp(`^${escapeRegex(user.email)}$`, 'i') } },
+      { projection: { role: 1 } }
+    );
+    user.role = userDoc?.role || 'user';
+  }
+  return user.role;
+};
+
+// Mirror role and premium state into Firebase custom claims. Clients pick the new claims up
+// on their next token refresh (getIdToken(true)); revoking sessions forces a new sign-in.
+const syncUserClaims = async (userDoc, { revokeSessions = false } = {}) => {
+  let uid = userDoc.uid;
+  if (!uid) {
+    try {
+      uid = (await admin.auth().getUserByEmail(userDoc.email)).uid;
+    } catch (error) {
+      if (error.code === 'auth/user-not-found') return null;
+      throw error;
+    }
+  }
+
+  const claims = {
+    role: userDoc.role || 'user',
+    isPremium: userDoc.isPremium === true,
+    premiumUntil: userDoc.premiumUntil ? new Date(userDoc.premiumUntil).getTime() : null,
+  };
+  await admin.auth().setCustomUserClaims(uid, claims);
+  if (revokeSessions) {
+    await admin.auth().revokeRefreshTokens(uid);
+  }
+  await usersCollection.updateOne({ _id: userDoc._id }, { $set: { claimsSyncedAt: new Date() } });
+  return claims;
+};
 
-// Admin authorization middleware
-const authorizeAdmin = async (req, res, next) => {
+// Re-read a user and sync their claims; failures are logged rather than failing the caller
+const syncUserClaimsByEmail = async (email, options) => {
   try {
-    const user = await usersCollection.findOne({ 
-      email: { $regex: new RegExp(`^${req.user.email}$`, 'i') } 
+    const userDoc = await usersCollection.findOne({
+      email: { $regex: new RegExp(`^${escapeRegex(email)}$`, 'i') }
     });
-    if (!user || user.role !== 'admin') {
-      return res.status(403).json({ error: 'Forbidden: Admin access required' });
+    if (userDoc) await syncUserClaims(userDoc, options);
+  } catch (error) {
+    console.error(`Failed to sync custom claims for ${email}:`, error.message);
+  }
+};
+
+// Field-level changes between two versions of a document, ignoring bookkeeping timestamps
+const diffFields = (before, after) => {
+  const diff = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  keys.forEach((key) => {
+    if (key === 'updatedAt' || key === '_id') return;
+    const from = before?.[key] ?? null;
+    const to = after?.[key] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      diff[key] = { from, to };
+    }
+  });
+  return diff;
+};
+
+// Record a staff action. Audit failures are logged and never fail the action itself.
+const recordAudit = async (req, { action, targetType, targetId, targetEmail, before, after }) => {
+  try {
+    await auditLogCollection.insertOne({
+      actor: { email: req.user.email, uid: req.user.uid, role: req.user.role || null },
+      action,
+      target: {
+        type: targetType,
+        id: targetId ? targetId.toString() : null,
+        email: targetEmail ? targetEmail.toLowerCase() : null,
+      },
+      diff: diffFields(before, after),
+      ip: req.ip,
+      userAgent: req.get('user-agent') || null,
+      createdAt: new Date(),
+    });
+  } catch (error) {
+    console.error(`Failed to write audit log entry for ${action}:`, error.message);
+  }
+};
+
+// Store a notification for `recipientEmail`; open streams pick it up on their next poll.
+// Like audit entries, failures are logged and never fail the action that triggered them.
+const notify = async (recipientEmail, { type, title, message, data = {} }) => {
+  if (!recipientEmail) return;
+  try {
+    const notification = {
+      recipientEmail: recipientEmail.toLowerCase(),
+      type,
+      title,
+      message,
+      data,
+      readAt: null,
+      createdAt: new Date(),
+    };
+    await notificationsCollection.insertOne(notification);
+  } catch (error) {
+    console.error(`Failed to send ${type} notification to ${recipientEmail}:`, error.message);
+  }
+};
+
+const userCan = async (user, permission) => hasPermission(await getUserRole(user), permission);
+
+// Permission middleware: the caller's role must grant every listed permission
+const authorize = (...permissions) => async (req, res, next) => {
+  try {
+    const role = await getUserRole(req.user);
+    const missing = permissions.filter((permission) => !hasPermission(role, permission));
+    if (missing.length > 0) {
+      return res.status(403).json({ error: 'Forbidden: Insufficient permissions', missing });
     }
     next();
   } catch (error) {
-    console.error('Admin authorization error:', error.message);
-    res.status(500).json({ error: 'Failed to verify admin status', details: error.message });
+    console.error('Authorization error:', error.message);
+    res.status(500).json({ error: 'Failed to verify permissions', details: error.message });
+  }
+};
+
+// The account email is also the default contactEmail, so it is hidden along with the contact fields
+const CONTACT_FIELDS = ['mobileNumber', 'contactEmail', 'email'];
+
+// Contact requests go to the biodata owner first, then to an admin when moderation is enabled
+const CONTACT_REQUEST_ADMIN_MODERATION = process.env.CONTACT_REQUEST_ADMIN_MODERATION === 'true';
+const CONTACT_REQUEST_STAGE_STATUS = {
+  awaiting_owner: 'pending',
+  awaiting_admin: 'pending',
+  approved: 'approved',
+  declined: 'rejected',
+  rejected: 'rejected',
+  withdrawn: 'withdrawn',
+};
+
+// Monthly contact request allowance for premium users whose plan does not set one
+const DEFAULT_CONTACT_REQUEST_QUOTA = parseInt(process.env.CONTACT_REQUEST_MONTHLY_QUOTA, 10) || 20;
+
+// Quota periods are calendar months in UTC, e.g. "2026-10"
+const currentQuotaPeriod = (date = new Date()) => date.toISOString().slice(0, 7);
+const quotaPeriodResetsAt = (date = new Date()) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+
+const getContactRequestLimit = (userDoc) => {
+  const planQuota = userDoc?.premiumPlan?.contactRequestQuota;
+  return Number.isInteger(planQuota) ? planQuota : DEFAULT_CONTACT_REQUEST_QUOTA;
+};
+
+// Usage already counted against the current period
+const getContactRequestUsage = (userDoc, period = currentQuotaPeriod()) =>
+  userDoc?.contactRequestUsage?.period === period ? userDoc.contactRequestUsage.count : 0;
+
+// Requests created before the owner step have no stage; pending ones still await the owner
+const contactRequestStage = (request) =>
+  request.stage || (request.status === 'pending' ? 'awaiting_owner' : request.status);
+
+const awaitingOwnerFilter = {
+  $or: [{ stage: 'awaiting_owner' }, { stage: { $exists: false }, status: 'pending' }],
+};
+
+// Update moving a contact request to a new stage and recording who did it
+const contactRequestTransition = (stage, actor, actorRole, note) => {
+  const now = new Date();
+  const status = CONTACT_REQUEST_STAGE_STATUS[stage];
+  return {
+    $set: {
+      stage,
+      status,
+      updatedAt: now,
+      ...(status === 'approved' && { approvedAt: now }),
+      ...(status === 'rejected' && { rejectedAt: now }),
+    },
+    $push: { history: { stage, actor, actorRole, note: note || null, at: now } },
+  };
+};
+
+// Everyone `email` has blocked or been blocked by; blocks hide both people from each other
+const getBlockedEmails = async (email) => {
+  const blocks = await blocksCollection.find(
+    { $or: [{ blockerEmail: email }, { blockedEmail: email }] },
+    { projection: { blockerEmail: 1, blockedEmail: 1 } }
+  ).toArray();
+  return new Set(blocks.map((block) => (block.blockerEmail === email ? block.blockedEmail : block.blockerEmail)));
+};
+
+const isBlockedBetween = async (emailA, emailB) =>
+  Boolean(await blocksCollection.findOne({
+    $or: [
+      { blockerEmail: emailA, blockedEmail: emailB },
+      { blockerEmail: emailB, blockedEmail: emailA },
+    ],
+  }, { projection: { _id: 1 } }));
+
+// Members filter excluding biodatas owned by any of `emails` (stored email case varies)
+const emailNotIn = (emails) => ({ $nin: [...emails].map((email) => new RegExp(`^${escapeRegex(email)}$`, 'i')) });
+
+// Who is looking at biodatas: admin status, the biodatas they hold approved contact requests for and who they blocked
+const getViewerContext = async (user) => {
+  if (!user) {
+    return {
+      email: null,
+      isPremium: false,
+      canViewAllContacts: false,
+      canModeratePhotos: false,
+      approvedBiodataIds: new Set(),
+      blockedEmails: new Set(),
+    };
+  }
+  const [canViewAllContacts, canModeratePhotos, approved, blockedEmails] = await Promise.all([
+    userCan(user, PERMISSIONS.BIODATAS_VIEW_CONTACT),
+    userCan(user, PERMISSIONS.PHOTOS_MODERATE),
+    contactRequestsCollection.find(
+      { requesterEmail: user.email, status: 'approved' },
+      { projection: { requestedBiodataId: 1 } }
+    ).toArray(),
+    getBlockedEmails(user.email),
+  ]);
+  return {
+    email: user.email,
+    isPremium: user.isPremium === true,
+    canViewAllContacts,
+    canModeratePhotos,
+    approvedBiodataIds: new Set(approved.map((request) => request.requestedBiodataId?.toString())),
+    blockedEmails,
+  };
+};
+
+// Strip contact details unless the viewer owns the biodata, may view all contacts or holds an approved contact request
+const applyContactVisibility = (biodata, viewer) => {
+  if (!biodata) return biodata;
+  const contactVisible = viewer.canViewAllContacts
+    || (viewer.email && biodata.email?.toLowerCase() === viewer.email)
+    || viewer.approvedBiodataIds.has(biodata._id?.toString());
+  if (contactVisible) {
+    return { ...biodata, contactVisible: true };
+  }
+  const redacted = { ...biodata, contactVisible: false };
+  CONTACT_FIELDS.forEach((field) => delete redacted[field]);
+  return redacted;
+};
+
+// Shown in place of photos that are awaiting moderation, rejected or withheld
+const PHOTO_PLACEHOLDER_URL = process.env.PHOTO_PLACEHOLDER_URL || `${PUBLIC_BASE_URL}/photos/placeholder.svg`;
+
+// Every new upload waits for an admin before the public can see it
+const pendingModeration = () => ({ status: 'pending', reason: null, reviewedBy: null, reviewedAt: null });
+
+// Photos stored before moderation existed count as approved
+const isPhotoApproved = (photo) => !photo.moderation || photo.moderation.status === 'approved';
+
+// Hide unapproved photos from everyone but the owner and photo moderators
+const applyPhotoModeration = (biodata, viewer) => {
+  if (!biodata) return biodata;
+  const isOwner = viewer.email && biodata.email?.toLowerCase() === viewer.email;
+  if (isOwner || viewer.canModeratePhotos || !Array.isArray(biodata.photos)) {
+    return biodata;
+  }
+  const primary = biodata.photos.find((photo) => photo._id?.equals?.(biodata.primaryPhotoId));
+  const primaryApproved = !primary || isPhotoApproved(primary);
+  const moderated = {
+    ...biodata,
+    photos: biodata.photos.filter(isPhotoApproved).map(({ moderation, ...photo }) => photo),
+  };
+  if (!primaryApproved) {
+    moderated.profileImage = PHOTO_PLACEHOLDER_URL;
+    moderated.profileImageVariants = null;
+    moderated.photoPending = true;
+  }
+  return moderated;
+};
+
+// Who may see a biodata's real photos; everyone else gets the blurred variants
+const canViewPhotos = (biodata, viewer) => {
+  if (viewer.canViewAllContacts) return true;
+  if (viewer.email && biodata.email?.toLowerCase() === viewer.email) return true;
+  const hasApprovedContact = viewer.approvedBiodataIds.has(biodata._id?.toString());
+  switch (biodata.photoVisibility || 'public') {
+    case 'premium':
+      return viewer.isPremium || hasApprovedContact;
+    case 'contacts':
+      return hasApprovedContact;
+    default:
+      return true;
+  }
+};
+
+// Swap every photo URL for its blurred variant (the placeholder for photos uploaded before blurring existed)
+const blurPhoto = (photo) => {
+  const blurred = photo.variants?.blurred || null;
+  return { ...photo, url: blurred?.jpeg || PHOTO_PLACEHOLDER_URL, variants: blurred ? { blurred } : null };
+};
+
+const applyPhotoVisibility = (biodata, viewer) => {
+  if (!biodata) return biodata;
+  if (canViewPhotos(biodata, viewer)) {
+    return { ...biodata, photoBlurred: false };
+  }
+  const blurredProfile = biodata.profileImageVariants?.blurred || null;
+  return {
+    ...biodata,
+    photoBlurred: true,
+    profileImage: blurredProfile?.jpeg || PHOTO_PLACEHOLDER_URL,
+    profileImageVariants: blurredProfile ? { blurred: blurredProfile } : null,
+    ...(Array.isArray(biodata.photos) && { photos: biodata.photos.map(blurPhoto) }),
+  };
+};
+
+// Replace private photo references with signed URLs and drop the internal storage keys.
+// Only call this on data the recipient is allowed to see in full.
+const exposePrivatePhotos = (value) => {
+  if (isPrivateRef(value)) return photoUrlSigner.sign(value);
+  if (Array.isArray(value)) return value.map(exposePrivatePhotos);
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([key]) => key !== 'storageKeys')
+      .map(([key, item]) => [key, exposePrivatePhotos(item)]));
+  }
+  return value;
+};
+
+// The stored age goes stale, so it is worked out from dob whenever there is one
+const withCurrentAge = (biodata) => ({ ...biodata, age: currentAge(biodata) });
+
+// A biodata as the viewer is allowed to see it. Contact details go last: the photo rules read the owner's email.
+const presentBiodata = (biodata, viewer) => exposePrivatePhotos(
+  applyContactVisibility(applyPhotoVisibility(applyPhotoModeration(withCurrentAge(biodata), viewer), viewer), viewer)
+);
+
+// Escape user input before embedding it in a RegExp
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// createdAt filter for `from`/`to` query params. A date-only `to` covers that whole day (UTC)
+// rather than stopping at its first millisecond.
+const createdAtRange = (from, to) => {
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  if ((fromDate && Number.isNaN(fromDate.getTime())) || (toDate && Number.isNaN(toDate.getTime()))) {
+    throw new Error('from and to must be valid dates');
+  }
+  const range = {};
+  if (fromDate) range.$gte = fromDate;
+  if (toDate && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    range.$lt = new Date(toDate.getTime() + 24 * 60 * 60 * 1000);
+  } else if (toDate) {
+    range.$lte = toDate;
+  }
+  return range;
+};
+
+// Resolve isPremium from the linked user document when the biodata does not carry it
+const withPremiumLookup = [
+  {
+    $lookup: {
+      from: 'users',
+      localField: 'email',
+      foreignField: 'email',
+      as: 'user'
+    }
+  },
+  { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+  {
+    $addFields: {
+      isPremium: {
+        $ifNull: [
+          '$isPremium',
+          { $ifNull: ['$user.isPremium', false] }
+        ]
+      }
+    }
+  },
+  { $project: { user: 0 } }
+];
+
+// Biodatas the public can see: not soft-deleted and not hidden by their owner
+const VISIBLE_BIODATA_FILTER = { deletedAt: null, isHidden: { $ne: true } };
+const isBiodataVisible = (biodata) => Boolean(biodata) && !biodata.deletedAt && biodata.isHidden !== true;
+
+// Soft-deleted biodatas are purged, with their favourites and contact requests, after this many days
+const BIODATA_RETENTION_DAYS = parseInt(process.env.BIODATA_RETENTION_DAYS, 10) || 30;
+
+// Gallery size per biodata
+const MAX_BIODATA_PHOTOS = parseInt(process.env.MAX_BIODATA_PHOTOS, 10) || 6;
+
+const BIODATA_SORT_FIELDS = ['age', 'createdAt'];
+const MAX_PAGE_SIZE = 100;
+
+// Cursors carry the sort key they were made for; a missing value is stored as null
+const encodeCursor = (sortKey, value, id) => Buffer.from(JSON.stringify({
+  s: sortKey,
+  v: value instanceof Date ? { $date: value.toISOString() } : value ?? null,
+  id: id.toString(),
+})).toString('base64url');
+
+const decodeCursor = (token, sortKey) => {
+  let decoded;
+  try {
+    const { s, v, id } = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    if (!ObjectId.isValid(id)) throw new Error('bad id');
+    decoded = { sortKey: s, value: v && v.$date ? new Date(v.$date) : v ?? null, id: new ObjectId(id) };
+  } catch (err) {
+    throw new Error('Invalid cursor');
+  }
+  if (decoded.sortKey !== sortKey) {
+    throw new Error('cursor was made for a different sort; start again without it');
+  }
+  return decoded;
+};
+
+// Members strictly after the cursor in `field` order, then `_id`. Mongo sorts missing and null
+// values first ascending and last descending, so null cursor values get their own branches.
+const afterCursorFilter = (field, direction, { value, id }) => {
+  const after = direction === 1 ? '$gt' : '$lt';
+  if (value === null) {
+    return {
+      $or: [
+        { [field]: null, _id: { [after]: id } },
+        ...(direction === 1 ? [{ [field]: { $ne: null } }] : []),
+      ],
+    };
+  }
+  return {
+    $or: [
+      { [field]: { [after]: value } },
+      { [field]: value, _id: { [after]: id } },
+      ...(direction === -1 ? [{ [field]: null }] : []),
+    ],
+  };
+};
+
+// Date of birth (YYYY-MM-DD) of someone turning `years` old today
+const dobYearsAgo = (years, now = new Date()) =>
+  new Date(Date.UTC(now.getUTCFullYear() - years, now.getUTCMonth(), now.getUTCDate())).toISOString().slice(0, 10);
+
+// Members filter for ages `min` to `max` today (either may be null). Age is worked out from dob,
+// falling back to the stored age for biodatas that have no dob (null, or '' on older ones).
+const ageRangeFilter = (min, max) => {
+  const dob = {};
+  const age = {};
+  if (min !== null) {
+    dob.$lte = dobYearsAgo(min);
+    age.$gte = min;
+  }
+  if (max !== null) {
+    dob.$gt = dobYearsAgo(max + 1);
+    age.$lte = max;
+  }
+  return { $or: [{ dob: { ...dob, $ne: '' } }, { dob: { $in: [null, ''] }, age }] };
+};
+
+// Aggregation expression for a member's age today, the same way ageRangeFilter works it out
+const currentAgeExpression = {
+  $let: {
+    vars: { birth: { $dateFromString: { dateString: '$dob', format: '%Y-%m-%d', onError: null, onNull: null } } },
+    in: {
+      $cond: [
+        { $eq: ['$$birth', null] },
+        '$age',
+        {
+          // Whole calendar years, less one when this year's birthday is still ahead
+          $let: {
+            vars: { years: { $dateDiff: { startDate: '$$birth', endDate: '$$NOW', unit: 'year' } } },
+            in: {
+              $subtract: ['$$years', {
+                $cond: [{ $gt: [{ $dateAdd: { startDate: '$$birth', unit: 'year', amount: '$$years' } }, '$$NOW'] }, 1, 0],
+              }],
+            },
+          },
+        },
+      ],
+    },
+  },
+};
+
+// Build the members filter, sort and pagination settings from GET /biodatas query params
+const parseBiodataListQuery = (query) => {
+  const filter = { ...VISIBLE_BIODATA_FILTER };
+
+  if (query.biodataType) filter.biodataType = query.biodataType;
+  if (query.maritalStatus) filter.maritalStatus = query.maritalStatus;
+  if (query.permanentDivision) filter.permanentDivision = query.permanentDivision;
+  if (query.presentDivision) filter.presentDivision = query.presentDivision;
+  if (query.division) {
+    filter.$or = [{ permanentDivision: query.division }, { presentDivision: query.division }];
+  }
+  if (query.occupation) {
+    filter.occupation = { $regex: new RegExp(`^${escapeRegex(query.occupation)}$`, 'i') };
+  }
+  // Premium can come from the linked user, so this is matched after withPremiumLookup
+  const premiumOnly = query.premium === 'true';
+
+  const minAge = query.minAge !== undefined ? parseInt(query.minAge, 10) : null;
+  const maxAge = query.maxAge !== undefined ? parseInt(query.maxAge, 10) : null;
+  if (Number.isNaN(minAge) || Number.isNaN(maxAge)) {
+    throw new Error('minAge and maxAge must be numbers');
+  }
+  if (minAge !== null || maxAge !== null) {
+    filter.$and = [ageRangeFilter(minAge, maxAge)];
+  }
+
+  // sort=age | -age | createdAt | -createdAt (default: newest first)
+  if (query.sort !== undefined && typeof query.sort !== 'string') {
+    throw new Error('sort must be a single value');
+  }
+  if (query.cursor !== undefined && typeof query.cursor !== 'string') {
+    throw new Error('cursor must be a single value');
+  }
+  const sortParam = query.sort || '-createdAt';
+  const sortName = sortParam.replace(/^-/, '');
+  if (!BIODATA_SORT_FIELDS.includes(sortName)) {
+    throw new Error(`sort must be one of: ${BIODATA_SORT_FIELDS.join(', ')}`);
+  }
+  // Age order is date-of-birth order reversed, which stays right as birthdays pass
+  const sortField = sortName === 'age' ? 'dob' : sortName;
+  const sortDir = (sortParam.startsWith('-') ? -1 : 1) * (sortName === 'age' ? -1 : 1);
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const cursor = query.cursor ? decodeCursor(query.cursor, sortParam) : null;
+
+  return {
+    filter,
+    premiumOnly,
+    sort: { [sortField]: sortDir, _id: sortDir },
+    sortParam,
+    sortField,
+    sortDir,
+    page,
+    limit,
+    cursor,
+  };
+};
+
+// GET /matches/me scores at most this many candidates (newest first) that pass its Mongo prefilter
+const MATCH_CANDIDATE_LIMIT = parseInt(process.env.MATCH_CANDIDATE_LIMIT, 10) || 500;
+
+// GET /biodatas/:id/similar: candidates within SIMILAR_AGE_WINDOW years, scored out of
+// 40 (age) + 30 (division) + 20 (occupation) plus SIMILAR_PREMIUM_BOOST for premium profiles
+const SIMILAR_AGE_WINDOW = parseInt(process.env.SIMILAR_AGE_WINDOW, 10) || 5;
+const SIMILAR_PREMIUM_BOOST = Number.isFinite(parseFloat(process.env.SIMILAR_PREMIUM_BOOST))
+  ? parseFloat(process.env.SIMILAR_PREMIUM_BOOST)
+  : 10;
+const SIMILAR_DEFAULT_LIMIT = 6;
+const SIMILAR_MAX_LIMIT = 24;
+
+// Aggregation stages adding `similarity` (per-part points) and `similarityScore` relative to `target`;
+// expects `isPremium` to be resolved already
+const similarityStages = (target) => {
+  const targetAge = currentAge(target);
+  const age = Number.isFinite(targetAge)
+    ? {
+        $multiply: [40, {
+          $max: [0, {
+            $subtract: [1, { $divide: [{ $abs: { $subtract: [{ $ifNull: [currentAgeExpression, -1000] }, targetAge] } }, SIMILAR_AGE_WINDOW + 1] }],
+          }],
+        }],
+      }
+    : 0;
+  const division = target.permanentDivision
+    ? {
+        $switch: {
+          branches: [
+            { case: { $eq: ['$permanentDivision', target.permanentDivision] }, then: 30 },
+            { case: { $in: ['$permanentDivision', DIVISION_NEIGHBOURS[target.permanentDivision] || []] }, then: 15 },
+          ],
+          default: 0,
+        },
+      }
+    : 0;
+
+  // Same occupation scores in full; sharing a significant word (e.g. "software engineer" and "civil engineer") scores half
+  const occupation = (target.occupation || '').trim();
+  const words = occupation.toLowerCase().split(/[^a-z0-9]+/).filter((word) => word.length >= 3);
+  const occupationScore = occupation
+    ? {
+        $switch: {
+          branches: [
+            { case: { $eq: [{ $toLower: { $trim: { input: { $ifNull: ['$occupation', ''] } } } }, occupation.toLowerCase()] }, then: 20 },
+            ...(words.length > 0
+              ? [{
+                  case: {
+                    $regexMatch: {
+                      input: { $ifNull: ['$occupation', ''] },
+                      regex: `\\b(${words.map(escapeRegex).join('|')})\\b`,
+                      options: 'i',
+                    },
+                  },
+                  then: 10,
+                }]
+              : []),
+          ],
+          default: 0,
+        },
+      }
+    : 0;
+
+  return [
+    {
+      $addFields: {
+        similarity: {
+          age: { $round: [age, 2] },
+          division,
+          occupation: occupationScore,
+          premium: { $cond: [{ $eq: ['$isPremium', true] }, SIMILAR_PREMIUM_BOOST, 0] },
+        },
+      },
+    },
+    {
+      $addFields: {
+        similarityScore: {
+          $round: [{ $add: ['$similarity.age', '$similarity.division', '$similarity.occupation', '$similarity.premium'] }, 2],
+        },
+      },
+    },
+  ];
+};
+
+// GET /favourites sort keys and the fields they sort on
+const FAVOURITE_SORT_FIELDS = { addedAt: 'addedAt', name: 'biodata.name', age: 'biodata.age' };
+const MAX_FAVOURITE_NOTES_LENGTH = 1000;
+const MAX_FAVOURITE_TAGS = 10;
+const MAX_FAVOURITE_TAG_LENGTH = 30;
+
+// Validate the private notes and tags on a favourite; tags are lowercased and deduplicated
+const validateFavouriteFields = (body = {}, { partial = false } = {}) => {
+  const fields = {};
+  const errors = {};
+
+  if (body.notes !== undefined) {
+    if (body.notes === null || (typeof body.notes === 'string' && body.notes.trim() === '')) {
+      fields.notes = null;
+    } else if (typeof body.notes !== 'string' || body.notes.trim().length > MAX_FAVOURITE_NOTES_LENGTH) {
+      errors.notes = `must be text of at most ${MAX_FAVOURITE_NOTES_LENGTH} characters`;
+    } else {
+      fields.notes = body.notes.trim();
+    }
+  } else if (!partial) {
+    fields.notes = null;
+  }
+
+  if (body.tags !== undefined) {
+    const list = Array.isArray(body.tags) ? body.tags : String(body.tags ?? '').split(',');
+    const tags = [...new Set(list.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean))];
+    if (tags.length > MAX_FAVOURITE_TAGS || tags.some((tag) => tag.length > MAX_FAVOURITE_TAG_LENGTH)) {
+      errors.tags = `must be at most ${MAX_FAVOURITE_TAGS} tags of up to ${MAX_FAVOURITE_TAG_LENGTH} characters`;
+    } else {
+      fields.tags = tags;
+    }
+  } else if (!partial) {
+    fields.tags = [];
+  }
+
+  return { fields, errors: Object.keys(errors).length > 0 ? errors : null };
+};
+
+// In-app messaging limits: message length, and messages per sender per window
+const MAX_MESSAGE_LENGTH = parseInt(process.env.MAX_MESSAGE_LENGTH, 10) || 2000;
+const MESSAGE_RATE_LIMIT = parseInt(process.env.MESSAGE_RATE_LIMIT, 10) || 20;
+const MESSAGE_RATE_WINDOW_MS = parseInt(process.env.MESSAGE_RATE_WINDOW_MS, 10) || 60 * 1000;
+
+// One conversation per pair of users, whichever side opened it
+const conversationKey = (emailA, emailB) => [emailA, emailB].sort().join('|');
+
+// Notification streams must end before the platform's function timeout cuts them off
+const NOTIFICATION_STREAM_MAX_MS = parseInt(process.env.NOTIFICATION_STREAM_MAX_MS, 10) || MAX_STREAM_DURATION_MS;
+
+// Transactional email: sender, client app for links, and outbox retry schedule
+const MAIL_FROM = process.env.MAIL_FROM || 'Matrimony <no-reply@localhost>';
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+const EMAIL_MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 5;
+const EMAIL_RETRY_BASE_MS = parseInt(process.env.EMAIL_RETRY_BASE_MS, 10) || 60 * 1000;
+// Messages stuck in "sending" this long (e.g. after a crash) are picked up again
+const EMAIL_SENDING_TIMEOUT_MS = 10 * 60 * 1000;
+// One outbox run sends at most this many messages and claims no more once its time budget is
+// spent, so it ends well inside the function timeout; the next run continues with the rest
+const EMAIL_OUTBOX_BATCH_SIZE = parseInt(process.env.EMAIL_OUTBOX_BATCH_SIZE, 10) || 50;
+const EMAIL_OUTBOX_TIME_BUDGET_MS = parseInt(process.env.EMAIL_OUTBOX_TIME_BUDGET_MS, 10) || 5 * 1000;
+
+// Every email category is on unless the user switched it off
+const getEmailPreferences = (userDoc) => Object.fromEntries(
+  EMAIL_CATEGORIES.map((category) => [category, userDoc?.notificationPreferences?.email?.[category] !== false])
+);
+
+const REPORT_REASONS = ['fake_profile', 'inappropriate_photos', 'harassment', 'scam', 'spam', 'other'];
+const MAX_REPORT_DETAILS_LENGTH = 1000;
+
+const PLAN_CURRENCIES = ['usd', 'eur', 'gbp', 'bdt'];
+
+// Validate plan fields from a request body; `partial` allows updating a subset
+const validatePlan = (body, { partial = false } = {}) => {
+  const plan = {};
+  const has = (field) => body[field] !== undefined;
+
+  if (has('name') || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim()) return { error: 'name is required' };
+    plan.name = body.name.trim();
+  }
+  if (has('price') || !partial) {
+    const price = Number(body.price);
+    if (!Number.isFinite(price) || price <= 0) return { error: 'price must be a positive number' };
+    plan.price = Math.round(price * 100) / 100;
+  }
+  if (has('currency') || !partial) {
+    const currency = String(body.currency || '').toLowerCase();
+    if (!PLAN_CURRENCIES.includes(currency)) return { error: `currency must be one of: ${PLAN_CURRENCIES.join(', ')}` };
+    plan.currency = currency;
+  }
+  if (has('durationDays') || !partial) {
+    const durationDays = Number(body.durationDays);
+    if (!Number.isInteger(durationDays) || durationDays <= 0) return { error: 'durationDays must be a positive integer' };
+    plan.durationDays = durationDays;
   }
+  if (has('contactRequestQuota') || !partial) {
+    const quota = Number(body.contactRequestQuota);
+    if (!Number.isInteger(quota) || quota < 0) return { error: 'contactRequestQuota must be a non-negative integer' };
+    plan.contactRequestQuota = quota;
+  }
+  if (has('isActive')) {
+    if (typeof body.isActive !== 'boolean') return { error: 'isActive must be a boolean' };
+    plan.isActive = body.isActive;
+  }
+  if (has('isDefault')) {
+    if (typeof body.isDefault !== 'boolean') return { error: 'isDefault must be a boolean' };
+    plan.isDefault = body.isDefault;
+  }
+  return { plan };
 };
 
-async function run() {
+// Connect, prepare indexes and register the database-backed routes. Tests pass a stand-in
+// `database` instead of connecting to Atlas.
+async function run(database) {
   try {
-    await client.connect();
-    db = client.db('matrimonial');
+    if (!database) await client.connect();
+    db = database || client.db('matrimonial');
     usersCollection = db.collection('users');
     membersCollection = db.collection('members');
     paymentsCollection = db.collection('payments');
@@ -113,8 +998,142 @@ async function run() {
     success_counters = db.collection('success_counter');
     favouritesCollection = db.collection('favourites');
     contactRequestsCollection = db.collection('contactRequests');
+    stripeEventsCollection = db.collection('stripeEvents');
+    plansCollection = db.collection('plans');
+    auditLogCollection = db.collection('auditLog');
+    conversationsCollection = db.collection('conversations');
+    messagesCollection = db.collection('messages');
+    notificationsCollection = db.collection('notifications');
+    emailOutboxCollection = db.collection('emailOutbox');
+    reportsCollection = db.collection('reports');
+    blocksCollection = db.collection('blocks');
+    streamTicketsCollection = db.collection('streamTickets');
+    migrationsCollection = db.collection('migrations');
+
+    // Indexes backing the GET /biodatas filters and sort orders
+    await membersCollection.createIndexes([
+      { key: { email: 1 } },
+      { key: { biodataType: 1, age: 1, _id: 1 } },
+      { key: { biodataType: 1, createdAt: -1, _id: -1 } },
+      { key: { biodataType: 1, dob: 1, _id: 1 } },
+      { key: { dob: 1, _id: 1 } },
+      { key: { permanentDivision: 1, age: 1 } },
+      { key: { presentDivision: 1, age: 1 } },
+      { key: { maritalStatus: 1 } },
+      { key: { isPremium: 1, createdAt: -1 } },
+      { key: { age: 1, _id: 1 } },
+      { key: { createdAt: -1, _id: -1 } },
+      { key: { deletedAt: 1 } },
+      { key: { 'photos.moderation.status': 1 } },
+    ]);
+
+    // Routes rely on the unique indexes from here on to reject duplicates, so startup fails without them.
+    // Processed Stripe webhook events, one document per event ID
+    await stripeEventsCollection.createIndex({ eventId: 1 }, { unique: true });
+
+    // The per-user index used to cover approved requests too, which blocked renewals
+    await premiumRequestsCollection.dropIndex('userId_1').catch((error) => {
+      if (!['IndexNotFound', 'NamespaceNotFound'].includes(error.codeName)) throw error;
+    });
+
+    // One payment row per payment intent, and at most one pending premium request per user
+    await Promise.all([
+      paymentsCollection.createIndex({ paymentIntentId: 1 }, { unique: true }),
+      premiumRequestsCollection.createIndex({ paymentIntentId: 1 }, { unique: true }),
+      premiumRequestsCollection.createIndex(
+        { userId: 1 },
+        { name: 'userId_1_pending', unique: true, partialFilterExpression: { status: 'pending' } }
+      ),
+    ]).catch((error) => {
+      throw new Error(`Failed to create payment indexes (clean up duplicate payments first): ${error.message}`);
+    });
+
+    await paymentsCollection.createIndexes([
+      { key: { email: 1, createdAt: -1 } },
+      { key: { createdAt: -1 } },
+    ]);
+
+    await contactRequestsCollection.createIndexes([
+      { key: { requestedBiodataId: 1, createdAt: -1 } },
+      { key: { requesterEmail: 1, createdAt: -1 } },
+    ]);
+
+    // The previous version of the index below also covered rejected requests
+    await contactRequestsCollection.dropIndex('requesterEmail_1_requestedBiodataId_1_active').catch((error) => {
+      if (!['IndexNotFound', 'NamespaceNotFound'].includes(error.codeName)) throw error;
+    });
+
+    // One pending or approved request per requester and biodata; declined and withdrawn ones may be
+    // sent again. `$in` in a partial filter needs MongoDB 6.0 or later.
+    await contactRequestsCollection.createIndex(
+      { requesterEmail: 1, requestedBiodataId: 1 },
+      {
+        name: 'requesterEmail_1_requestedBiodataId_1_open',
+        unique: true,
+        partialFilterExpression: { status: { $in: ['pending', 'approved'] } },
+      }
+    ).catch((error) => {
+      throw new Error(`Failed to create contact request index (clean up duplicate requests first): ${error.message}`);
+    });
+
+    await auditLogCollection.createIndexes([
+      { key: { createdAt: -1 } },
+      { key: { 'actor.email': 1, createdAt: -1 } },
+      { key: { 'target.email': 1, createdAt: -1 } },
+      { key: { action: 1, createdAt: -1 } },
+    ]);
+
+    await conversationsCollection.createIndexes([
+      { key: { participantKey: 1 }, unique: true },
+      { key: { participants: 1, lastMessageAt: -1 } },
+    ]);
+    await notificationsCollection.createIndexes([
+      { key: { recipientEmail: 1, _id: -1 } },
+      { key: { recipientEmail: 1, readAt: 1 } },
+    ]);
+    await Promise.all([
+      reportsCollection.createIndexes([
+        { key: { status: 1, createdAt: 1 } },
+        { key: { biodataId: 1, status: 1 } },
+        // One open report per reporter and biodata
+        { key: { reporterEmail: 1, biodataId: 1 }, unique: true, partialFilterExpression: { status: 'open' } },
+      ]),
+      blocksCollection.createIndexes([
+        { key: { blockerEmail: 1, blockedEmail: 1 }, unique: true },
+        { key: { blockedEmail: 1 } },
+      ]),
+    ]).catch((error) => {
+      throw new Error(`Failed to create report and block indexes (clean up duplicates first): ${error.message}`);
+    });
+    await streamTicketsCollection.createIndexes([
+      { key: { ticketHash: 1 }, unique: true },
+      { key: { expiresAt: 1 }, expireAfterSeconds: 0 },
+    ]);
+    await emailOutboxCollection.createIndexes([
+      { key: { status: 1, nextAttemptAt: 1 } },
+      { key: { to: 1, createdAt: -1 } },
+    ]);
+    await messagesCollection.createIndexes([
+      { key: { conversationId: 1, _id: -1 } },
+      { key: { senderEmail: 1, sentAt: -1 } },
+    ]);
+
+    // The unique index goes on after normalizing, which can turn differently cased rows into duplicates
+    await runMigration('normalize-favourites', normalizeFavourites);
+    await favouritesCollection.createIndexes([
+      { key: { userEmail: 1, biodata_id: 1 }, unique: true },
+      { key: { userEmail: 1, addedAt: -1 } },
+      { key: { biodata_id: 1 } },
+    ]).catch((error) => {
+      throw new Error(`Failed to create favourites indexes (clean up duplicate favourites first): ${error.message}`);
+    });
 
-    // Configure axios-retry for ImgBB requests
+    // Partner preferences used to be free text; store the ones we can read as { min, max } ranges
+    await runMigration('convert-legacy-partner-preferences', convertLegacyPartnerPreferences).catch((error) => {
+      console.error('Failed to convert legacy partner preferences:', error.message);
+    });
+
+    // Configure axios-retry for image storage requests
     axiosRetry(axios, {
       retries: 3,
       retryDelay: (retryCount) => axiosRetry.exponentialDelay(retryCount),
@@ -123,96 +1142,408 @@ async function run() {
       },
     });
 
-    // Upload image to ImgBB
-    async function uploadImageToImgBB(imageBuffer) {
-      if (!imageBuffer || imageBuffer.length === 0) {
-        throw new Error("No image data provided");
-      }
+    // Data migrations run once: a document in `migrations` marks each one done so later cold
+    // starts skip it. A migration that throws is not marked and runs again on the next start.
+    async function runMigration(name, migrate) {
+      if (await migrationsCollection.findOne({ _id: name })) return;
+      await migrate();
+      await migrationsCollection.insertOne({ _id: name, completedAt: new Date() }).catch((error) => {
+        // Another instance finished it at the same time
+        if (error.code !== 11000) throw error;
+      });
+    }
 
-      let imageInfo;
-      try {
-        imageInfo = await sharp(imageBuffer).metadata();
-        if (!['jpeg', 'png'].includes(imageInfo.format)) {
-          throw new Error('Only JPEG and PNG images are supported');
-        }
-      } catch (err) {
-        console.error("❌ Image validation failed:", err.message);
-        throw new Error("Invalid image format");
-      }
+    // Favourites used to store biodata_id as a string, which never joined with members._id,
+    // and kept userEmail in whatever case the client sent
+    async function normalizeFavourites() {
+      await favouritesCollection.updateMany(
+        { $or: [{ biodata_id: { $type: 'string' } }, { userEmail: { $regex: /[A-Z]/ } }] },
+        [{
+          $set: {
+            biodata_id: { $convert: { input: '$biodata_id', to: 'objectId', onError: '$biodata_id', onNull: null } },
+            userEmail: { $toLower: '$userEmail' },
+          },
+        }]
+      );
+    }
 
-      let compressedBuffer;
+    // Render an email and add it to the outbox. Never throws: a mail problem must not fail the
+    // API call that triggered it. Skipped when the recipient switched the category off.
+    async function queueEmail(to, template, data) {
+      if (!to) return;
       try {
-        compressedBuffer = await sharp(imageBuffer)
-          .resize({ width: 1024 })
-          .jpeg({ quality: 80 })
-          .toBuffer();
-        console.log("✅ Image compressed:", compressedBuffer.length, "bytes");
-      } catch (err) {
-        console.error("❌ Compression failed:", err.message);
-        throw new Error("Failed to compress image");
+        const email = to.toLowerCase();
+        const { category, subject, text, html } = renderEmail(template, data, { appUrl: APP_URL });
+        const userDoc = await usersCollection.findOne(
+          { email: { $regex: new RegExp(`^${escapeRegex(email)}$`, 'i') } },
+          { projection: { notificationPreferences: 1 } }
+        );
+        if (!getEmailPreferences(userDoc)[category]) return;
+
+        await emailOutboxCollection.insertOne({
+          to: email,
+          template,
+          category,
+          subject,
+          text,
+          html,
+          status: 'pending',
+          attempts: 0,
+          nextAttemptAt: new Date(),
+          lastError: null,
+          messageId: null,
+          createdAt: new Date(),
+          sentAt: null,
+        });
+      } catch (error) {
+        console.error(`Failed to queue ${template} email to ${to}:`, error.message);
       }
+    }
 
-      const formData = new FormData();
-      formData.append('key', process.env.IMGBB_KEY);
-      formData.append('image', compressedBuffer, {
-        filename: 'image.jpg',
-        contentType: 'image/jpeg',
+    // Emails about a contact request go to the requester and name the requested biodata
+    async function queueContactRequestEmail(request, template) {
+      const requesterFilter = { email: { $regex: new RegExp(`^${escapeRegex(request.requesterEmail)}$`, 'i') } };
+      const [requester, biodata] = await Promise.all([
+        usersCollection.findOne(requesterFilter, { projection: { name: 1 } }),
+        ObjectId.isValid(request.requestedBiodataId)
+          ? membersCollection.findOne({ _id: new ObjectId(request.requestedBiodataId) }, { projection: { name: 1 } })
+          : null,
+      ]);
+      await queueEmail(request.requesterEmail, template, {
+        name: requester?.name,
+        biodataName: biodata?.name,
+        biodataId: request.requestedBiodataId,
       });
+    }
 
-      try {
-        const response = await axios.post(
-          'https://api.imgbb.com/1/upload',
-          formData,
-          {
-            headers: formData.getHeaders(),
-            timeout: 30000,
-          }
-        );
-        console.log("🎉 ImgBB upload successful:", response.data.data.url);
-        return response.data.data.url;
-      } catch (err) {
-        console.error("❌ ImgBB upload failed:", {
-          message: err.message,
-          response: err.response?.data,
-          status: err.response?.status,
-        });
-        throw new Error(
-          `Failed to upload image to ImgBB: ${err.response?.data?.error?.message || err.message}`
+    // Send due outbox messages one at a time, retrying failures with exponential backoff. Resolves to
+    // the number of messages attempted, which is capped per run.
+    async function processEmailOutbox() {
+      await emailOutboxCollection.updateMany(
+        { status: 'sending', lockedAt: { $lte: new Date(Date.now() - EMAIL_SENDING_TIMEOUT_MS) } },
+        { $set: { status: 'pending' } }
+      );
+
+      const deadline = Date.now() + EMAIL_OUTBOX_TIME_BUDGET_MS;
+      let processed = 0;
+      while (processed < EMAIL_OUTBOX_BATCH_SIZE && Date.now() < deadline) {
+        // Claiming atomically keeps other instances from sending the same message
+        const message = await emailOutboxCollection.findOneAndUpdate(
+          { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+          { $set: { status: 'sending', lockedAt: new Date() }, $inc: { attempts: 1 } },
+          { sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
         );
+        if (!message) break;
+        processed += 1;
+
+        try {
+          const { messageId } = await mailTransport.send({
+            from: MAIL_FROM,
+            to: message.to,
+            subject: message.subject,
+            text: message.text,
+            html: message.html,
+          });
+          await emailOutboxCollection.updateOne(
+            { _id: message._id },
+            { $set: { status: 'sent', sentAt: new Date(), messageId, lockedAt: null, lastError: null } }
+          );
+        } catch (error) {
+          const exhausted = message.attempts >= EMAIL_MAX_ATTEMPTS;
+          console.error(`Failed to send ${message.template} email to ${maskAddress(message.to)} (attempt ${message.attempts}):`, error.message);
+          await emailOutboxCollection.updateOne(
+            { _id: message._id },
+            {
+              $set: {
+                status: exhausted ? 'failed' : 'pending',
+                nextAttemptAt: new Date(Date.now() + EMAIL_RETRY_BASE_MS * 2 ** (message.attempts - 1)),
+                lastError: error.message,
+                lockedAt: null,
+              },
+            }
+          );
+        }
       }
+      return processed;
     }
 
-    // Create payment intent for premium payment
-    app.post('/create-payment-intent', authenticate, async (req, res) => {
+    // Vercel Cron works through the outbox every minute (see vercel.json), one capped batch per run;
+    // overlapping runs are safe because each message is claimed atomically
+    app.get('/cron/email-outbox', authorizeCron, async (req, res) => {
       try {
-        const { name, phone } = req.body;
-        const userEmail = req.user.email;
-        const userId = req.user.uid.toString();
-
-        if (!name || !phone) {
-          return res.status(400).json({ error: 'Name and phone number are required' });
-        }
+        const processed = await processEmailOutbox();
+        res.json({ message: 'Email outbox processed', processed });
+      } catch (error) {
+        console.error('Error processing email outbox:', error.message);
+        res.status(500).json({ error: 'Failed to process email outbox', details: error.message });
+      }
+    });
 
-        // Create Stripe customer
-        const customer = await stripe.customers.create({
-          email: userEmail,
-          name,
-          phone,
+    // Unreadable strings are left as they are; matching ignores them
+    async function convertLegacyPartnerPreferences() {
+      const legacy = await membersCollection.find(
+        { $or: MATCH_CRITERIA.map(({ preference }) => ({ [preference]: { $type: 'string' } })) },
+        { projection: Object.fromEntries(MATCH_CRITERIA.map(({ preference }) => [preference, 1])) }
+      ).toArray();
+
+      const updates = legacy.map((member) => {
+        const fields = {};
+        MATCH_CRITERIA.forEach(({ preference, feetInches }) => {
+          if (typeof member[preference] !== 'string') return;
+          const range = parsePartnerRange(member[preference], { feetInches });
+          if (range) fields[preference] = range;
         });
+        return { updateOne: { filter: { _id: member._id }, update: { $set: fields } } };
+      }).filter(({ updateOne }) => Object.keys(updateOne.update.$set).length > 0);
 
-        // Create payment intent
-        const paymentIntent = await stripe.paymentIntents.create({
-          amount: 1000, // $10.00 in cents
-          currency: 'usd',
-          payment_method_types: ['card'],
-          customer: customer.id,
-          metadata: {
-            userId,
-            email: userEmail,
+      if (updates.length > 0) {
+        await membersCollection.bulkWrite(updates, { ordered: false });
+        console.log(`Converted partner preferences on ${updates.length} biodata(s)`);
+      }
+    }
+
+    // Resize an uploaded image into all variants and store them with the configured driver
+    async function uploadImage(imageBuffer) {
+      return storeImageVariants(imageStorage, imageBuffer);
+    }
+
+    // Delete the stored files of photos that were removed, rejected or replaced
+    async function removePhotoFiles(photos) {
+      await Promise.all(photos.filter(Boolean).map((photo) => removeImageVariants(imageStorage, photo)));
+    }
+
+    // Give biodatas created before the gallery a one-photo gallery built from profileImage
+    async function ensurePhotoGallery(biodata) {
+      if (Array.isArray(biodata.photos)) return biodata;
+      const photos = biodata.profileImage
+        ? [{
+            _id: new ObjectId(),
+            url: biodata.profileImage,
+            variants: null,
+            uploadedAt: biodata.createdAt || new Date(),
+            moderation: { status: 'approved', reason: null, reviewedBy: null, reviewedAt: null },
+          }]
+        : [];
+      const primaryPhotoId = photos[0]?._id || null;
+      await membersCollection.updateOne(
+        { _id: biodata._id, photos: { $exists: false } },
+        { $set: { photos, primaryPhotoId } }
+      );
+      return membersCollection.findOne({ _id: biodata._id });
+    }
+
+    // Load a biodata for a photo route, checking the caller may edit it
+    async function loadEditableBiodata(req, res) {
+      const id = req.params.id;
+      if (!ObjectId.isValid(id)) {
+        res.status(400).json({ error: 'Invalid _id format' });
+        return null;
+      }
+      const biodata = await membersCollection.findOne({ _id: new ObjectId(id), deletedAt: null });
+      if (!biodata) {
+        res.status(404).json({ error: `No biodata found with _id: ${id}` });
+        return null;
+      }
+      const isOwner = biodata.email?.toLowerCase() === req.user.email;
+      if (!isOwner && !(await userCan(req.user, PERMISSIONS.BIODATAS_EDIT_ANY))) {
+        res.status(403).json({ error: 'Unauthorized: You can only update your own biodata' });
+        return null;
+      }
+      return ensurePhotoGallery(biodata);
+    }
+
+    // Staff edits to someone else's gallery are audited; the diff lists photo IDs, not files
+    async function auditGalleryChange(req, action, before, after) {
+      if (before.email?.toLowerCase() === req.user.email) return;
+      const gallery = (biodata) => ({
+        photoIds: biodata.photos.map((photo) => photo._id.toString()),
+        primaryPhotoId: biodata.primaryPhotoId?.toString() || null,
+      });
+      await recordAudit(req, {
+        action,
+        targetType: 'biodata',
+        targetId: before._id,
+        targetEmail: before.email,
+        before: gallery(before),
+        after: gallery(after),
+      });
+    }
+
+    const photoGalleryResponse = (biodata) => exposePrivatePhotos({
+      photos: biodata.photos,
+      primaryPhotoId: biodata.primaryPhotoId,
+      profileImage: biodata.profileImage,
+      profileImageVariants: biodata.profileImageVariants || null,
+    });
+
+    // List purchasable premium plans
+    app.get('/plans', async (req, res) => {
+      try {
+        const plans = await plansCollection.find({ isActive: true }).sort({ price: 1 }).toArray();
+        res.json(plans);
+      } catch (error) {
+        console.error('Error fetching plans:', error.message);
+        res.status(500).json({ error: 'Failed to fetch plans', details: error.message });
+      }
+    });
+
+    // List all plans including inactive ones
+    app.get('/admin/plans', authenticate, authorize(PERMISSIONS.PLANS_MANAGE), async (req, res) => {
+      try {
+        const plans = await plansCollection.find().sort({ createdAt: -1 }).toArray();
+        res.json(plans);
+      } catch (error) {
+        console.error('Error fetching plans:', error.message);
+        res.status(500).json({ error: 'Failed to fetch plans', details: error.message });
+      }
+    });
+
+    // Create a premium plan
+    app.post('/plans', authenticate, authorize(PERMISSIONS.PLANS_MANAGE), async (req, res) => {
+      try {
+        const { plan, error } = validatePlan(req.body);
+        if (error) return res.status(400).json({ error });
+
+        const newPlan = {
+          ...plan,
+          isActive: plan.isActive ?? true,
+          isDefault: plan.isDefault ?? false,
+          createdAt: new Date(),
+          updatedAt: new Date(),
+        };
+        if (newPlan.isDefault) {
+          await plansCollection.updateMany({ isDefault: true }, { $set: { isDefault: false, updatedAt: new Date() } });
+        }
+
+        const result = await plansCollection.insertOne(newPlan);
+        await recordAudit(req, {
+          action: 'plan.create',
+          targetType: 'plan',
+          targetId: result.insertedId,
+          before: null,
+          after: newPlan,
+        });
+        res.status(201).json({ message: 'Plan created successfully', plan: { _id: result.insertedId, ...newPlan } });
+      } catch (error) {
+        console.error('Error creating plan:', error.message);
+        res.status(500).json({ error: 'Failed to create plan', details: error.message });
+      }
+    });
+
+    // Update a premium plan
+    app.patch('/plans/:id', authenticate, authorize(PERMISSIONS.PLANS_MANAGE), async (req, res) => {
+      try {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({ error: 'Invalid _id format' });
+        }
+
+        const { plan, error } = validatePlan(req.body, { partial: true });
+        if (error) return res.status(400).json({ error });
+        if (Object.keys(plan).length === 0) {
+          return res.status(400).json({ error: 'No plan fields to update' });
+        }
+
+        if (plan.isDefault) {
+          await plansCollection.updateMany(
+            { isDefault: true, _id: { $ne: new ObjectId(id) } },
+            { $set: { isDefault: false, updatedAt: new Date() } }
+          );
+        }
+
+        const previousPlan = await plansCollection.findOneAndUpdate(
+          { _id: new ObjectId(id) },
+          { $set: { ...plan, updatedAt: new Date() } }
+        );
+        if (!previousPlan) {
+          return res.status(404).json({ error: 'Plan not found' });
+        }
+        const updatedPlan = { ...previousPlan, ...plan };
+        await recordAudit(req, {
+          action: 'plan.update',
+          targetType: 'plan',
+          targetId: id,
+          before: previousPlan,
+          after: updatedPlan,
+        });
+
+        res.json({ message: 'Plan updated successfully', plan: updatedPlan });
+      } catch (error) {
+        console.error('Error updating plan:', error.message);
+        res.status(500).json({ error: 'Failed to update plan', details: error.message });
+      }
+    });
+
+    // Delete a premium plan; existing premium requests keep their plan snapshot
+    app.delete('/plans/:id', authenticate, authorize(PERMISSIONS.PLANS_MANAGE), async (req, res) => {
+      try {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({ error: 'Invalid _id format' });
+        }
+        const deletedPlan = await plansCollection.findOneAndDelete({ _id: new ObjectId(id) });
+        if (!deletedPlan) {
+          return res.status(404).json({ error: 'Plan not found' });
+        }
+        await recordAudit(req, {
+          action: 'plan.delete',
+          targetType: 'plan',
+          targetId: id,
+          before: deletedPlan,
+          after: null,
+        });
+        res.json({ message: 'Plan deleted successfully' });
+      } catch (error) {
+        console.error('Error deleting plan:', error.message);
+        res.status(500).json({ error: 'Failed to delete plan', details: error.message });
+      }
+    });
+
+    // Create payment intent for premium payment
+    app.post('/create-payment-intent', authenticate, async (req, res) => {
+      try {
+        const { name, phone, planId } = req.body;
+        const userEmail = req.user.email;
+        const userId = req.user.uid.toString();
+
+        if (!name || !phone) {
+          return res.status(400).json({ error: 'Name and phone number are required' });
+        }
+
+        // Approved members may renew; approval extends their remaining premium time
+        const pendingRequest = await premiumRequestsCollection.findOne({ userId, status: 'pending' });
+        if (pendingRequest) {
+          return res.status(409).json({ error: 'You already have a pending premium request' });
+        }
+
+        if (planId && !ObjectId.isValid(planId)) {
+          return res.status(400).json({ error: 'Invalid planId format' });
+        }
+        const plan = await plansCollection.findOne(
+          planId ? { _id: new ObjectId(planId), isActive: true } : { isDefault: true, isActive: true }
+        );
+        if (!plan) {
+          return res.status(planId ? 404 : 400).json({ error: planId ? 'Plan not found' : 'planId is required' });
+        }
+
+        const customer = await getOrCreateStripeCustomer(userEmail, { name, phone });
+
+        // Create payment intent
+        const paymentIntent = await stripe.paymentIntents.create({
+          amount: Math.round(plan.price * 100),
+          currency: plan.currency,
+          payment_method_types: ['card'],
+          customer: customer.id,
+          metadata: {
+            userId,
+            email: userEmail,
+            name,
+            phone,
+            planId: plan._id.toString(),
           },
         });
 
-        res.json({ client_secret: paymentIntent.client_secret });
+        res.json({ client_secret: paymentIntent.client_secret, plan });
       } catch (error) {
         console.error('Error creating payment intent:', error.message);
         res.status(500).json({ error: 'Failed to create payment intent', details: error.message });
@@ -224,7 +1555,6 @@ async function run() {
       try {
         const { payment_intent } = req.body;
         const userId = req.user.uid.toString();
-        const userEmail = req.user.email;
 
         if (!payment_intent) {
           return res.status(400).json({ error: 'Payment intent ID is required' });
@@ -241,50 +1571,351 @@ async function run() {
           return res.status(403).json({ error: 'Unauthorized' });
         }
 
-        // Store payment details
-        const paymentDoc = {
-          paymentIntentId: paymentIntent.id,
-          customerId: paymentIntent.customer,
-          userId,
-          email: userEmail,
-          name: paymentIntent.shipping?.name || paymentIntent.metadata.name || 'Unknown',
-          phone: paymentIntent.shipping?.phone || paymentIntent.metadata.phone || 'Unknown',
-          amount: paymentIntent.amount,
-          currency: paymentIntent.currency,
-          status: 'paid',
-          cardLast4: paymentIntent.payment_method ? (await stripe.paymentMethods.retrieve(paymentIntent.payment_method)).card?.last4 : 'N/A',
-          createdAt: new Date(),
-        };
-        await paymentsCollection.insertOne(paymentDoc);
+        const outcome = await recordPremiumPayment(paymentIntent);
+        if (outcome.status === 'refunded') {
+          return res.status(409).json({ error: 'Premium request already exists. This payment has been refunded.' });
+        }
 
-        // Create premium request
-        const existingRequest = await premiumRequestsCollection.findOne({
-          userId,
-          status: { $in: ['pending', 'approved'] },
-        });
-        if (existingRequest) {
-          return res.status(400).json({ error: 'Premium request already exists' });
+        res.json({ success: true, message: 'Payment successful, premium request sent for admin approval' });
+      } catch (error) {
+        console.error('Error handling payment success:', error.message);
+        res.status(500).json({ error: 'Failed to handle payment', details: error.message });
+      }
+    });
+
+    // Card last4 and receipt URL for a payment intent, read from its latest charge
+    async function getPaymentDetails(paymentIntent) {
+      const details = { cardLast4: 'N/A', receiptUrl: null };
+      if (paymentIntent.latest_charge) {
+        const charge = typeof paymentIntent.latest_charge === 'string'
+          ? await stripe.charges.retrieve(paymentIntent.latest_charge)
+          : paymentIntent.latest_charge;
+        details.cardLast4 = charge.payment_method_details?.card?.last4 || details.cardLast4;
+        details.receiptUrl = charge.receipt_url || null;
+      }
+      if (details.cardLast4 === 'N/A' && paymentIntent.payment_method) {
+        const paymentMethodId = typeof paymentIntent.payment_method === 'string'
+          ? paymentIntent.payment_method
+          : paymentIntent.payment_method.id;
+        const paymentMethod = await stripe.paymentMethods.retrieve(paymentMethodId);
+        details.cardLast4 = paymentMethod.card?.last4 || 'N/A';
+      }
+      return details;
+    }
+
+    // Stripe customer for a user, reusing the ID saved on the users document
+    async function getOrCreateStripeCustomer(userEmail, { name, phone }) {
+      const userDoc = await usersCollection.findOne({
+        email: { $regex: new RegExp(`^${escapeRegex(userEmail)}$`, 'i') }
+      });
+
+      if (userDoc?.stripeCustomerId) {
+        try {
+          const existing = await stripe.customers.retrieve(userDoc.stripeCustomerId);
+          if (!existing.deleted) {
+            if (existing.name !== name || existing.phone !== phone) {
+              return stripe.customers.update(existing.id, { name, phone });
+            }
+            return existing;
+          }
+        } catch (error) {
+          if (error.code !== 'resource_missing') throw error;
         }
+      }
+
+      // Adopt a customer left behind by earlier checkouts before creating a new one
+      const { data: [found] } = await stripe.customers.list({ email: userEmail, limit: 1 });
+      const customer = found
+        ? await stripe.customers.update(found.id, { name, phone })
+        : await stripe.customers.create({ email: userEmail, name, phone });
+
+      await usersCollection.updateOne(
+        { email: { $regex: new RegExp(`^${escapeRegex(userEmail)}$`, 'i') } },
+        { $set: { stripeCustomerId: customer.id, updatedAt: new Date() } }
+      );
+      return customer;
+    }
+
+    // Record a succeeded payment and its pending premium request, keyed on the payment intent ID.
+    // If the user already has another active premium request the payment is refunded instead.
+    async function recordPremiumPayment(paymentIntent) {
+      const userId = paymentIntent.metadata.userId;
+      const userEmail = paymentIntent.metadata.email?.toLowerCase();
+
+      try {
+        await paymentsCollection.updateOne(
+          { paymentIntentId: paymentIntent.id },
+          {
+            $setOnInsert: {
+              paymentIntentId: paymentIntent.id,
+              customerId: paymentIntent.customer,
+              userId,
+              email: userEmail,
+              name: paymentIntent.shipping?.name || paymentIntent.metadata.name || 'Unknown',
+              phone: paymentIntent.shipping?.phone || paymentIntent.metadata.phone || 'Unknown',
+              amount: paymentIntent.amount,
+              currency: paymentIntent.currency,
+              status: 'paid',
+              ...(await getPaymentDetails(paymentIntent)),
+              createdAt: new Date(),
+            },
+          },
+          { upsert: true }
+        );
+      } catch (error) {
+        // A concurrent call inserted the same payment first
+        if (error.code !== 11000) throw error;
+      }
 
-        const premiumRequest = {
+      // A retried payment intent can succeed after an earlier failure
+      await paymentsCollection.updateOne(
+        { paymentIntentId: paymentIntent.id, status: 'failed' },
+        { $set: { status: 'paid', updatedAt: new Date() }, $unset: { failureMessage: '' } }
+      );
+
+      const planId = paymentIntent.metadata.planId;
+      const plan = planId && ObjectId.isValid(planId)
+        ? await plansCollection.findOne({ _id: new ObjectId(planId) })
+        : null;
+
+      try {
+        await premiumRequestsCollection.insertOne({
           userId,
           email: userEmail,
           paymentIntentId: paymentIntent.id,
           amount: paymentIntent.amount,
+          currency: paymentIntent.currency,
+          plan: plan
+            ? {
+                planId: plan._id,
+                name: plan.name,
+                durationDays: plan.durationDays,
+                contactRequestQuota: plan.contactRequestQuota,
+              }
+            : null,
           status: 'pending',
           createdAt: new Date(),
-        };
-        await premiumRequestsCollection.insertOne(premiumRequest);
+        });
+        return { status: 'created' };
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
 
-        res.json({ success: true, message: 'Payment successful, premium request sent for admin approval' });
+      // Either this payment was already recorded, or another request is pending for the user
+      const existingForPayment = await premiumRequestsCollection.findOne({ paymentIntentId: paymentIntent.id });
+      if (existingForPayment) {
+        return { status: 'exists', request: existingForPayment };
+      }
+
+      const payment = await paymentsCollection.findOne({ paymentIntentId: paymentIntent.id });
+      if (!['refunded', 'refund_pending'].includes(payment?.status)) {
+        const refund = await stripe.refunds.create(
+          {
+            payment_intent: paymentIntent.id,
+            metadata: { reason: 'premium_request_already_exists', userId },
+          },
+          { idempotencyKey: `premium-duplicate-refund-${paymentIntent.id}` }
+        );
+        await paymentsCollection.updateOne(
+          { paymentIntentId: paymentIntent.id },
+          {
+            $set: {
+              status: 'refund_pending',
+              refundId: refund.id,
+              refundReason: 'premium_request_already_exists',
+              updatedAt: new Date(),
+            },
+          }
+        );
+      }
+      return { status: 'refunded' };
+    }
+
+    // Apply a verified Stripe event to payments and premium requests
+    async function handleStripeEvent(event) {
+      switch (event.type) {
+        case 'payment_intent.succeeded': {
+          await recordPremiumPayment(event.data.object);
+          break;
+        }
+        case 'payment_intent.payment_failed': {
+          const paymentIntent = event.data.object;
+          await paymentsCollection.updateOne(
+            { paymentIntentId: paymentIntent.id },
+            {
+              $set: {
+                status: 'failed',
+                failureMessage: paymentIntent.last_payment_error?.message || 'Payment failed',
+                updatedAt: new Date(),
+              },
+              $setOnInsert: {
+                paymentIntentId: paymentIntent.id,
+                customerId: paymentIntent.customer,
+                userId: paymentIntent.metadata.userId,
+                email: paymentIntent.metadata.email?.toLowerCase(),
+                amount: paymentIntent.amount,
+                currency: paymentIntent.currency,
+                createdAt: new Date(),
+              },
+            },
+            { upsert: true }
+          );
+          break;
+        }
+        case 'charge.refunded': {
+          const charge = event.data.object;
+          const paymentIntentId = typeof charge.payment_intent === 'string'
+            ? charge.payment_intent
+            : charge.payment_intent?.id;
+          if (!paymentIntentId) break;
+
+          const fullyRefunded = charge.amount_refunded >= charge.amount;
+          await paymentsCollection.updateOne(
+            { paymentIntentId },
+            {
+              $set: {
+                status: fullyRefunded ? 'refunded' : 'partially_refunded',
+                amountRefunded: charge.amount_refunded,
+                refundedAt: new Date(),
+                updatedAt: new Date(),
+              },
+            }
+          );
+
+          if (!fullyRefunded) break;
+
+          const request = await premiumRequestsCollection.findOneAndUpdate(
+            { paymentIntentId, status: { $in: ['pending', 'approved'] } },
+            { $set: { status: 'refunded', refundedAt: new Date() } }
+          );
+          if (request?.status === 'approved') {
+            await usersCollection.updateOne(
+              { $or: [{ uid: request.userId }, { email: { $regex: new RegExp(`^${escapeRegex(request.email)}$`, 'i') } }] },
+              { $set: { isPremium: false, updatedAt: new Date() } }
+            );
+            await membersCollection.updateOne(
+              { email: { $regex: new RegExp(`^${escapeRegex(request.email)}$`, 'i') } },
+              { $set: { isPremium: false, updatedAt: new Date() } }
+            );
+            await syncUserClaimsByEmail(request.email);
+          }
+          break;
+        }
+        default:
+          console.log('Unhandled Stripe event type:', event.type);
+      }
+    }
+
+    // Stripe webhook (signature verified, idempotent per event ID)
+    app.post('/webhooks/stripe', async (req, res) => {
+      if (!process.env.STRIPE_WEBHOOK_SECRET) {
+        console.error('STRIPE_WEBHOOK_SECRET is not configured');
+        return res.status(500).json({ error: 'Webhook secret not configured' });
+      }
+
+      let event;
+      try {
+        event = stripe.webhooks.constructEvent(
+          req.rawBody,
+          req.headers['stripe-signature'],
+          process.env.STRIPE_WEBHOOK_SECRET
+        );
       } catch (error) {
-        console.error('Error handling payment success:', error.message);
-        res.status(500).json({ error: 'Failed to handle payment', details: error.message });
+        console.error('Stripe webhook signature verification failed:', error.message);
+        return res.status(400).json({ error: 'Invalid signature', details: error.message });
+      }
+
+      try {
+        await stripeEventsCollection.insertOne({
+          eventId: event.id,
+          type: event.type,
+          objectId: event.data.object.id,
+          receivedAt: new Date(),
+        });
+      } catch (error) {
+        if (error.code === 11000) {
+          return res.json({ received: true, duplicate: true });
+        }
+        console.error('Error recording Stripe event:', error.message);
+        return res.status(500).json({ error: 'Failed to record event', details: error.message });
+      }
+
+      try {
+        await handleStripeEvent(event);
+        await stripeEventsCollection.updateOne(
+          { eventId: event.id },
+          { $set: { processedAt: new Date() } }
+        );
+        res.json({ received: true });
+      } catch (error) {
+        // Forget the event so Stripe's retry gets processed again
+        await stripeEventsCollection.deleteOne({ eventId: event.id }).catch(() => {});
+        console.error(`Error handling Stripe event ${event.id}:`, error.message);
+        res.status(500).json({ error: 'Failed to handle webhook event', details: error.message });
+      }
+    });
+
+    // Get my payment history
+    app.get('/my-payments', authenticate, async (req, res) => {
+      try {
+        const { email, uid } = req.user;
+        const payments = await paymentsCollection.find(
+          { $or: [{ email }, { userId: uid }] },
+          { projection: { customerId: 0 } }
+        ).sort({ createdAt: -1 }).toArray();
+        res.json(payments);
+      } catch (error) {
+        console.error('Error fetching my payments:', error.message);
+        res.status(500).json({ error: 'Failed to fetch payments', details: error.message });
       }
     });
 
-    // Get all premium requests (admin only)
-    app.get('/premium-requests', authenticate, authorizeAdmin, async (req, res) => {
+    // Get all payments with date-range filtering and totals
+    app.get('/payments', authenticate, authorize(PERMISSIONS.PAYMENTS_READ), async (req, res) => {
+      try {
+        const { from, to, status, email } = req.query;
+        const filter = {};
+
+        if (from || to) {
+          try {
+            filter.createdAt = createdAtRange(from, to);
+          } catch (err) {
+            return res.status(400).json({ error: err.message });
+          }
+        }
+        if (status) filter.status = status;
+        if (email) filter.email = { $regex: new RegExp(`^${escapeRegex(email)}$`, 'i') };
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+        const [payments, total, totals] = await Promise.all([
+          paymentsCollection.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+          paymentsCollection.countDocuments(filter),
+          paymentsCollection.aggregate([
+            { $match: filter },
+            // Only settled payments count; refund_pending ones are on their way back to the payer
+            {
+              $group: {
+                _id: '$currency',
+                count: { $sum: 1 },
+                paid: { $sum: { $cond: [{ $in: ['$status', ['paid', 'partially_refunded', 'refunded']] }, '$amount', 0] } },
+                refunded: { $sum: { $ifNull: ['$amountRefunded', 0] } },
+              },
+            },
+            { $project: { _id: 0, currency: '$_id', count: 1, paid: 1, refunded: 1, net: { $subtract: ['$paid', '$refunded'] } } },
+          ]).toArray(),
+        ]);
+
+        res.json({ payments, total, page, limit, totalPages: Math.ceil(total / limit), totals });
+      } catch (error) {
+        console.error('Error fetching payments:', error.message);
+        res.status(500).json({ error: 'Failed to fetch payments', details: error.message });
+      }
+    });
+
+    // Get all premium requests
+    app.get('/premium-requests', authenticate, authorize(PERMISSIONS.PREMIUM_REQUESTS_READ), async (req, res) => {
       try {
         const { status } = req.query;
         const filter = status ? { status } : {};
@@ -307,8 +1938,8 @@ async function run() {
       }
     });
 
-    // Approve premium request by email (admin only)
-    app.patch('/premium-requests/email/:email/approve', authenticate, authorizeAdmin, async (req, res) => {
+    // Approve premium request by email
+    app.patch('/premium-requests/email/:email/approve', authenticate, authorize(PERMISSIONS.PREMIUM_REQUESTS_MANAGE), async (req, res) => {
       try {
         const email = req.params.email.toLowerCase();
         const request = await premiumRequestsCollection.findOne({ 
@@ -319,34 +1950,74 @@ async function run() {
           return res.status(404).json({ error: 'Pending premium request not found for this email' });
         }
 
+        const userFilter = { $or: [{ uid: request.userId }, { email: { $regex: new RegExp(`^${email}$`, 'i') } }] };
+        const userDoc = await usersCollection.findOne(userFilter);
+
+        // Plans extend any remaining premium time; requests without a plan never expire
+        let premiumUntil = null;
+        if (request.plan?.durationDays) {
+          const now = new Date();
+          const base = userDoc?.premiumUntil && userDoc.premiumUntil > now ? userDoc.premiumUntil : now;
+          premiumUntil = new Date(base.getTime() + request.plan.durationDays * 24 * 60 * 60 * 1000);
+        }
+
         const result = await premiumRequestsCollection.updateOne(
           { _id: new ObjectId(request._id) },
-          { $set: { status: 'approved', approvedAt: new Date() } }
+          { $set: { status: 'approved', approvedAt: new Date(), premiumUntil } }
         );
 
         if (result.matchedCount === 0) {
           return res.status(404).json({ error: 'Premium request not found' });
         }
 
-        await usersCollection.updateOne(
-          { $or: [{ uid: request.userId }, { email: { $regex: new RegExp(`^${email}$`, 'i') } }] },
-          { $set: { isPremium: true, updatedAt: new Date() } }
-        );
+        const premiumFields = {
+          isPremium: true,
+          premiumUntil,
+          premiumPlan: request.plan || null,
+          updatedAt: new Date(),
+        };
+
+        await usersCollection.updateOne(userFilter, { $set: premiumFields });
 
         await membersCollection.updateOne(
           { email: { $regex: new RegExp(`^${email}$`, 'i') } },
-          { $set: { isPremium: true, updatedAt: new Date() } }
+          { $set: { isPremium: true, premiumUntil, updatedAt: new Date() } }
         );
 
-        res.json({ message: 'Premium request approved successfully' });
+        await syncUserClaimsByEmail(email);
+
+        await recordAudit(req, {
+          action: 'premiumRequest.approve',
+          targetType: 'premiumRequest',
+          targetId: request._id,
+          targetEmail: email,
+          before: { status: request.status, isPremium: userDoc?.isPremium || false, premiumUntil: userDoc?.premiumUntil || null },
+          after: { status: 'approved', isPremium: true, premiumUntil },
+        });
+
+        await notify(email, {
+          type: 'premiumRequest.approved',
+          title: 'Premium activated',
+          message: premiumUntil
+            ? `Your premium membership is active until ${premiumUntil.toISOString().slice(0, 10)}.`
+            : 'Your premium membership is active.',
+          data: { premiumRequestId: request._id, premiumUntil },
+        });
+        await queueEmail(email, 'premiumApproved', {
+          name: userDoc?.name || request.name,
+          premiumUntil,
+          planName: request.plan?.name,
+        });
+
+        res.json({ message: 'Premium request approved successfully', premiumUntil });
       } catch (error) {
         console.error('Error approving premium request:', error.message);
         res.status(500).json({ error: 'Failed to approve premium request', details: error.message });
       }
     });
 
-    // Reject premium request by email (admin only)
-    app.patch('/premium-requests/email/:email/reject', authenticate, authorizeAdmin, async (req, res) => {
+    // Reject premium request by email
+    app.patch('/premium-requests/email/:email/reject', authenticate, authorize(PERMISSIONS.PREMIUM_REQUESTS_MANAGE), async (req, res) => {
       try {
         const email = req.params.email.toLowerCase();
         const request = await premiumRequestsCollection.findOne({ 
@@ -366,6 +2037,22 @@ async function run() {
           return res.status(404).json({ error: 'Premium request not found' });
         }
 
+        await recordAudit(req, {
+          action: 'premiumRequest.reject',
+          targetType: 'premiumRequest',
+          targetId: request._id,
+          targetEmail: email,
+          before: { status: request.status },
+          after: { status: 'rejected' },
+        });
+
+        await notify(email, {
+          type: 'premiumRequest.rejected',
+          title: 'Premium request rejected',
+          message: 'Your premium request was not approved.',
+          data: { premiumRequestId: request._id },
+        });
+
         res.json({ message: 'Premium request rejected successfully' });
       } catch (error) {
         console.error('Error rejecting premium request:', error.message);
@@ -373,6 +2060,47 @@ async function run() {
       }
     });
 
+    // Atomically take one contact request from the user's monthly quota; false when exhausted
+    async function consumeContactRequestQuota(userDoc) {
+      const limit = getContactRequestLimit(userDoc);
+      if (limit <= 0) return false;
+      const period = currentQuotaPeriod();
+      const result = await usersCollection.updateOne(
+        {
+          _id: userDoc._id,
+          $or: [
+            { 'contactRequestUsage.period': { $ne: period } },
+            { 'contactRequestUsage.count': { $lt: limit } },
+          ],
+        },
+        [
+          {
+            $set: {
+              contactRequestUsage: {
+                period,
+                count: {
+                  $cond: [
+                    { $eq: ['$contactRequestUsage.period', period] },
+                    { $add: ['$contactRequestUsage.count', 1] },
+                    1,
+                  ],
+                },
+              },
+            },
+          },
+        ]
+      );
+      return result.modifiedCount === 1;
+    }
+
+    // Give back quota taken in `period` for a request that was never stored
+    async function releaseContactRequestQuota(userId, period = currentQuotaPeriod()) {
+      await usersCollection.updateOne(
+        { _id: userId, 'contactRequestUsage.period': period, 'contactRequestUsage.count': { $gt: 0 } },
+        { $inc: { 'contactRequestUsage.count': -1 } }
+      );
+    }
+
     // Get my premium requests
     app.get('/my-premium-requests', authenticate, async (req, res) => {
       try {
@@ -398,20 +2126,27 @@ async function run() {
     // Other endpoints (unchanged)
     app.post('/users', authenticate, async (req, res) => {
       try {
-        const { name, photoURL, role, isPremium = false, targetEmail } = req.body;
+        // Premium is only granted through PATCH /users/:email/premium and premium requests
+        const { name, photoURL, role, targetEmail } = req.body;
         let email = targetEmail ? targetEmail.toLowerCase() : req.user.email;
         let uid = req.user.uid;
 
         if (targetEmail && targetEmail.toLowerCase() !== req.user.email.toLowerCase()) {
-          const currentUser = await usersCollection.findOne({ 
-            email: { $regex: new RegExp(`^${req.user.email}$`, 'i') } 
-          });
-          if (!currentUser || currentUser.role !== 'admin') {
-            return res.status(403).json({ error: 'Admin required to create user for another email' });
+          if (!(await userCan(req.user, PERMISSIONS.USERS_CREATE))) {
+            return res.status(403).json({ error: 'Forbidden: Cannot create user for another email' });
           }
           uid = null;
         }
 
+        if (role !== undefined && role !== 'user') {
+          if (!isValidRole(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+          }
+          if (!(await userCan(req.user, PERMISSIONS.USERS_MANAGE_ROLES))) {
+            return res.status(403).json({ error: 'Forbidden: Cannot assign roles' });
+          }
+        }
+
         if (!email) {
           return res.status(400).json({ error: 'Email is required' });
         }
@@ -426,661 +2161,2665 @@ async function run() {
           email: email.toLowerCase(),
           photoURL: photoURL || '',
           role: role || 'user',
-          isPremium,
+          isPremium: false,
           uid,
           createdAt: new Date(),
           updatedAt: new Date(),
         };
         const result = await usersCollection.insertOne(user);
+        if (email !== req.user.email || user.role !== 'user') {
+          await recordAudit(req, {
+            action: 'user.create',
+            targetType: 'user',
+            targetId: result.insertedId,
+            targetEmail: email,
+            before: null,
+            after: user,
+          });
+        }
         res.status(201).json({ message: 'User created successfully', result });
       } catch (error) {
-        console.error('Error creating user:', error.message);
-        res.status(500).json({ error: 'Failed to create user', details: error.message });
+        console.error('Error creating user:', error.message);
+        res.status(500).json({ error: 'Failed to create user', details: error.message });
+      }
+    });
+
+    // Role and permissions of the caller, for the client to decide which dashboards to show
+    app.get('/me/permissions', authenticate, async (req, res) => {
+      try {
+        const role = await getUserRole(req.user);
+        res.json({ role, permissions: getPermissions(role) });
+      } catch (error) {
+        console.error('Error fetching permissions:', error.message);
+        res.status(500).json({ error: 'Failed to fetch permissions', details: error.message });
+      }
+    });
+
+    // Everything stored about the caller, as a downloadable JSON bundle
+    app.get('/me/export', authenticate, async (req, res) => {
+      try {
+        const { email, uid } = req.user;
+        const emailFilter = { $regex: new RegExp(`^${escapeRegex(email)}$`, 'i') };
+
+        const [user, biodata] = await Promise.all([
+          usersCollection.findOne({ email: emailFilter }),
+          membersCollection.findOne({ email: emailFilter }),
+        ]);
+
+        const [
+          favourites,
+          contactRequestsSent,
+          contactRequestsReceived,
+          premiumRequests,
+          payments,
+          conversations,
+          notifications,
+          reports,
+          blocks,
+        ] = await Promise.all([
+          favouritesCollection.find({ userEmail: emailFilter }).toArray(),
+          contactRequestsCollection.find({ requesterEmail: email }).toArray(),
+          biodata
+            ? contactRequestsCollection.find({ requestedBiodataId: biodata._id.toString() }).toArray()
+            : [],
+          premiumRequestsCollection.find({ $or: [{ email }, { userId: uid }] }).toArray(),
+          paymentsCollection.find({ $or: [{ email }, { userId: uid }] }).toArray(),
+          conversationsCollection.find({ participants: email }).toArray(),
+          notificationsCollection.find({ recipientEmail: email }).toArray(),
+          reportsCollection.find({ reporterEmail: email }).toArray(),
+          blocksCollection.find({ blockerEmail: email }).toArray(),
+        ]);
+        const messages = await messagesCollection
+          .find({ conversationId: { $in: conversations.map(({ _id }) => _id) } })
+          .sort({ _id: 1 })
+          .toArray();
+
+        res.attachment(`matrimony-data-${uid}.json`);
+        res.json({
+          exportedAt: new Date(),
+          user,
+          biodata: exposePrivatePhotos(biodata),
+          favourites,
+          contactRequestsSent,
+          contactRequestsReceived,
+          premiumRequests,
+          payments,
+          conversations,
+          messages,
+          notifications,
+          reports,
+          blocks,
+        });
+      } catch (error) {
+        console.error('Error exporting user data:', error.message);
+        res.status(500).json({ error: 'Failed to export user data', details: error.message });
+      }
+    });
+
+    // Delete the caller's account: personal data is removed, payment rows are kept anonymized
+    // for accounting, and the Firebase auth user is deleted last so a failed run can be retried
+    app.delete('/me', authenticate, async (req, res) => {
+      try {
+        const { email, uid } = req.user;
+        if (req.body?.confirm !== 'DELETE') {
+          return res.status(400).json({ error: 'Send { "confirm": "DELETE" } to delete your account' });
+        }
+        if (getPermissions(await getUserRole(req.user)).length > 0) {
+          return res.status(403).json({ error: 'Staff accounts must be demoted before they can be deleted' });
+        }
+
+        const emailFilter = { $regex: new RegExp(`^${escapeRegex(email)}$`, 'i') };
+        const [user, biodata] = await Promise.all([
+          usersCollection.findOne({ email: emailFilter }),
+          membersCollection.findOne({ email: emailFilter }),
+        ]);
+
+        const ownedBy = { $or: [{ email: emailFilter }, { userId: uid }] };
+        const anonymized = { name: 'Deleted user', phone: null, email: null, anonymizedAt: new Date() };
+
+        if (biodata) {
+          const idString = biodata._id.toString();
+          await favouritesCollection.deleteMany({ biodata_id: { $in: [idString, biodata._id] } });
+          await contactRequestsCollection.deleteMany({ requestedBiodataId: idString });
+          await membersCollection.deleteOne({ _id: biodata._id });
+          await removePhotoFiles(biodata.photos || [{ variants: biodata.profileImageVariants }]);
+        }
+        await favouritesCollection.deleteMany({ userEmail: emailFilter });
+        await contactRequestsCollection.deleteMany({ requesterEmail: email });
+        // Conversations stay for the other participant, with the caller's messages blanked and their
+        // address removed; only threads nobody is left in are deleted outright
+        const conversations = await conversationsCollection.find({ participants: email }, { projection: { participants: 1 } }).toArray();
+        const abandonedIds = conversations
+          .filter(({ participants }) => participants.every((participant) => participant === email || participant === null))
+          .map(({ _id }) => _id);
+        await messagesCollection.deleteMany({ conversationId: { $in: abandonedIds } });
+        await conversationsCollection.deleteMany({ _id: { $in: abandonedIds } });
+        await messagesCollection.updateMany({ senderEmail: email }, { $set: { senderEmail: null, body: null, deletedAt: new Date() } });
+        await messagesCollection.updateMany({ recipientEmail: email }, { $set: { recipientEmail: null } });
+        await conversationsCollection.updateMany({ participants: email }, [
+          {
+            $set: {
+              participants: { $map: { input: '$participants', in: { $cond: [{ $eq: ['$$this', email] }, null, '$$this'] } } },
+              // The key named both addresses; the conversation ID keeps it unique
+              participantKey: { $concat: ['deleted:', { $toString: '$_id' }] },
+              blockedBy: { $filter: { input: '$blockedBy', cond: { $ne: ['$$this', email] } } },
+              lastMessage: {
+                $cond: [
+                  { $eq: ['$lastMessage.senderEmail', email] },
+                  { senderEmail: null, preview: null, sentAt: '$lastMessage.sentAt' },
+                  '$lastMessage',
+                ],
+              },
+              participantDeletedAt: '$$NOW',
+            },
+          },
+        ]);
+        await notificationsCollection.deleteMany({ recipientEmail: email });
+        await emailOutboxCollection.deleteMany({ to: email });
+        await blocksCollection.deleteMany({ $or: [{ blockerEmail: email }, { blockedEmail: email }] });
+        // Reports stay for moderation, without saying who filed them
+        await reportsCollection.updateMany({ reporterEmail: email }, { $set: { reporterEmail: null, anonymizedAt: new Date() } });
+        await premiumRequestsCollection.updateMany(ownedBy, { $set: { email: null, anonymizedAt: anonymized.anonymizedAt } });
+        await paymentsCollection.updateMany(ownedBy, { $set: anonymized });
+
+        if (user?.stripeCustomerId) {
+          try {
+            await stripe.customers.del(user.stripeCustomerId);
+          } catch (error) {
+            if (error.code !== 'resource_missing') throw error;
+          }
+        }
+        if (user) {
+          await usersCollection.deleteOne({ _id: user._id });
+        }
+
+        try {
+          await admin.auth().deleteUser(uid);
+        } catch (error) {
+          if (error.code !== 'auth/user-not-found') throw error;
+        }
+
+        res.json({ message: 'Your account and personal data have been deleted' });
+      } catch (error) {
+        console.error('Error deleting account:', error.message);
+        res.status(500).json({ error: 'Failed to delete account', details: error.message });
+      }
+    });
+
+    // Re-sync the caller's custom claims from the database; the client should then call getIdToken(true)
+    app.post('/me/refresh-claims', authenticate, async (req, res) => {
+      try {
+        const userDoc = await usersCollection.findOne({
+          email: { $regex: new RegExp(`^${escapeRegex(req.user.email)}$`, 'i') }
+        });
+        if (!userDoc) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+        const claims = await syncUserClaims({ ...userDoc, uid: userDoc.uid || req.user.uid });
+        res.json({ message: 'Claims updated. Refresh your ID token to apply them.', claims });
+      } catch (error) {
+        console.error('Error refreshing claims:', error.message);
+        res.status(500).json({ error: 'Failed to refresh claims', details: error.message });
+      }
+    });
+
+    // Staff actions, newest first, filterable by actor, target email and action
+    app.get('/admin/audit-log', authenticate, authorize(PERMISSIONS.AUDIT_LOG_READ), async (req, res) => {
+      try {
+        const { actor, targetEmail, action, targetType, from, to } = req.query;
+        const filter = {};
+        if (actor) filter['actor.email'] = actor.toLowerCase();
+        if (targetEmail) filter['target.email'] = targetEmail.toLowerCase();
+        if (action) filter.action = action;
+        if (targetType) filter['target.type'] = targetType;
+        if (from || to) {
+          try {
+            filter.createdAt = createdAtRange(from, to);
+          } catch (err) {
+            return res.status(400).json({ error: err.message });
+          }
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+        const [entries, total] = await Promise.all([
+          auditLogCollection.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+          auditLogCollection.countDocuments(filter),
+        ]);
+
+        res.json({ entries, total, page, limit, totalPages: Math.ceil(total / limit) });
+      } catch (error) {
+        console.error('Error fetching audit log:', error.message);
+        res.status(500).json({ error: 'Failed to fetch audit log', details: error.message });
+      }
+    });
+
+    app.get('/users', authenticate, authorize(PERMISSIONS.USERS_READ), async (req, res) => {
+      try {
+        const users = await usersCollection.find().toArray();
+        res.json(users);
+      } catch (error) {
+        console.error('Error fetching users:', error.message);
+        res.status(500).json({ error: 'Failed to fetch users', details: error.message });
+      }
+    });
+
+    app.get('/users/:email', authenticate, async (req, res) => {
+      try {
+        const emailParam = req.params.email.toLowerCase();
+        if (!emailParam) {
+          return res.status(400).json({ error: 'Email is required' });
+        }
+        const userDoc = await usersCollection.findOne({ 
+          email: { $regex: new RegExp(`^${emailParam}$`, 'i') } 
+        });
+        if (!userDoc) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+        if (req.user.email !== emailParam && !(await userCan(req.user, PERMISSIONS.USERS_READ))) {
+          return res.status(403).json({ error: 'Forbidden: Can only fetch own user data' });
+        }
+        res.json(userDoc);
+      } catch (error) {
+        console.error('Error fetching user:', error.message);
+        res.status(500).json({ error: 'Failed to fetch user', details: error.message });
+      }
+    });
+
+    // New endpoint to get user by UID
+    app.get('/users/uid/:uid', authenticate, async (req, res) => {
+      try {
+        const uid = req.params.uid;
+        if (!uid) {
+          return res.status(400).json({ error: 'UID is required' });
+        }
+        const userDoc = await usersCollection.findOne({ uid });
+        if (!userDoc) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+        if (req.user.uid !== uid && !(await userCan(req.user, PERMISSIONS.USERS_READ))) {
+          return res.status(403).json({ error: 'Forbidden: Can only fetch own user data' });
+        }
+        res.json(userDoc);
+      } catch (error) {
+        console.error('Error fetching user by uid:', error.message);
+        res.status(500).json({ error: 'Failed to fetch user', details: error.message });
+      }
+    });
+
+    app.patch('/users/:email/role', authenticate, authorize(PERMISSIONS.USERS_MANAGE_ROLES), async (req, res) => {
+      try {
+        const emailToUpdate = req.params.email.toLowerCase();
+        const { role } = req.body;
+
+        if (!emailToUpdate) return res.status(400).json({ error: 'Email is required' });
+        if (!isValidRole(role)) return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+
+        const userToUpdate = await usersCollection.findOne({ 
+          email: { $regex: new RegExp(`^${emailToUpdate}$`, 'i') } 
+        });
+        if (!userToUpdate) return res.status(404).json({ error: 'User not found' });
+
+        if (req.user.email === emailToUpdate) {
+          return res.status(403).json({ error: 'Cannot change your own role' });
+        }
+
+        const result = await usersCollection.updateOne(
+          { email: { $regex: new RegExp(`^${emailToUpdate}$`, 'i') } },
+          { $set: { role, updatedAt: new Date() } }
+        );
+
+        if (result.matchedCount === 0) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+
+        // Taking staff permissions away ends the user's sessions
+        const previousPermissions = getPermissions(userToUpdate.role);
+        const lostPermissions = previousPermissions.some((permission) => !hasPermission(role, permission));
+        await syncUserClaimsByEmail(emailToUpdate, { revokeSessions: lostPermissions });
+
+        await recordAudit(req, {
+          action: 'user.role.update',
+          targetType: 'user',
+          targetId: userToUpdate._id,
+          targetEmail: emailToUpdate,
+          before: { role: userToUpdate.role || 'user' },
+          after: { role },
+        });
+
+        res.status(200).json({ message: `User role updated to ${role} successfully`, updatedRole: role });
+      } catch (err) {
+        console.error('Error updating user role:', err.message);
+        res.status(500).json({ error: 'Failed to update user role', details: err.message });
+      }
+    });
+
+    app.patch('/users/:email/premium', authenticate, authorize(PERMISSIONS.USERS_MANAGE_PREMIUM), async (req, res) => {
+      try {
+        const emailToUpdate = req.params.email.toLowerCase();
+        const { isPremium } = req.body;
+
+        if (!emailToUpdate) return res.status(400).json({ error: 'Email is required' });
+        if (typeof isPremium !== 'boolean') return res.status(400).json({ error: 'isPremium must be a boolean' });
+
+        const userToUpdate = await usersCollection.findOne({ 
+          email: { $regex: new RegExp(`^${emailToUpdate}$`, 'i') } 
+        });
+        if (!userToUpdate) return res.status(404).json({ error: 'User not found' });
+
+        // Manual toggles are not tied to a plan, so they clear any expiry date
+        const result = await usersCollection.updateOne(
+          { email: { $regex: new RegExp(`^${emailToUpdate}$`, 'i') } },
+          { $set: { isPremium, premiumUntil: null, updatedAt: new Date() } }
+        );
+
+        if (result.matchedCount === 0) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+
+        await membersCollection.updateOne(
+          { email: { $regex: new RegExp(`^${emailToUpdate}$`, 'i') } },
+          { $set: { isPremium, premiumUntil: null, updatedAt: new Date() } }
+        );
+
+        await syncUserClaimsByEmail(emailToUpdate);
+
+        await recordAudit(req, {
+          action: 'user.premium.update',
+          targetType: 'user',
+          targetId: userToUpdate._id,
+          targetEmail: emailToUpdate,
+          before: { isPremium: userToUpdate.isPremium || false, premiumUntil: userToUpdate.premiumUntil || null },
+          after: { isPremium, premiumUntil: null },
+        });
+
+        res.status(200).json({ message: `User premium status updated to ${isPremium ? 'premium' : 'normal'} successfully`, isPremium });
+      } catch (err) {
+        console.error('Error updating user premium status:', err.message);
+        res.status(500).json({ error: 'Failed to update user premium status', details: err.message });
+      }
+    });
+
+    app.post('/contact-requests', authenticate, async (req, res) => {
+      try {
+        const { biodataId } = req.body;
+        const { email } = req.user;
+
+        if (!biodataId) {
+          return res.status(400).json({ error: 'Biodata ID is required' });
+        }
+        if (!ObjectId.isValid(biodataId)) {
+          return res.status(400).json({ error: 'Invalid biodata ID format' });
+        }
+
+        const requestedBiodata = await membersCollection.findOne({ _id: new ObjectId(biodataId) });
+        if (!isBiodataVisible(requestedBiodata)) {
+          return res.status(404).json({ error: 'Biodata not found' });
+        }
+        if (requestedBiodata.email?.toLowerCase() === email) {
+          return res.status(400).json({ error: 'You cannot send a contact request to your own biodata.' });
+        }
+        if (await isBlockedBetween(email, requestedBiodata.email?.toLowerCase())) {
+          return res.status(403).json({ error: 'You cannot send a contact request to this member.' });
+        }
+
+        const memberDoc = await membersCollection.findOne({ 
+          email: { $regex: new RegExp(`^${escapeRegex(email)}$`, 'i') } 
+        });
+        const userDoc = await usersCollection.findOne({ 
+          email: { $regex: new RegExp(`^${escapeRegex(email)}$`, 'i') } 
+        });
+        const isPremium = memberDoc?.isPremium || userDoc?.isPremium || false;
+        if (!isPremium) {
+          return res.status(403).json({ error: 'Only premium users can send contact requests. Please upgrade to premium.' });
+        }
+        if (!userDoc) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+
+        const existingRequest = await contactRequestsCollection.findOne({
+          requesterEmail: email,
+          requestedBiodataId: biodataId,
+          status: { $in: ['pending', 'approved'] },
+        });
+
+        if (existingRequest) {
+          return res.status(409).json({ error: 'Contact request already sent for this biodata.' });
+        }
+
+        if (!(await consumeContactRequestQuota(userDoc))) {
+          return res.status(429).json({
+            error: 'Monthly contact request quota reached.',
+            limit: getContactRequestLimit(userDoc),
+            resetsAt: quotaPeriodResetsAt(),
+          });
+        }
+
+        const request = {
+          requesterEmail: email,
+          requestedBiodataId: biodataId,
+          status: 'pending',
+          stage: 'awaiting_owner',
+          history: [{ stage: 'awaiting_owner', actor: email, actorRole: 'requester', note: null, at: new Date() }],
+          createdAt: new Date(),
+        };
+
+        let result;
+        try {
+          result = await contactRequestsCollection.insertOne(request);
+        } catch (error) {
+          await releaseContactRequestQuota(userDoc._id);
+          // A concurrent request for the same biodata got in first
+          if (error.code === 11000) {
+            return res.status(409).json({ error: 'Contact request already sent for this biodata.' });
+          }
+          throw error;
+        }
+        await notify(requestedBiodata.email, {
+          type: 'contactRequest.received',
+          title: 'New contact request',
+          message: 'Someone has requested your contact details.',
+          data: { contactRequestId: result.insertedId, biodataId },
+        });
+
+        res.status(201).json({
+          message: "Contact request sent successfully. Waiting for the biodata owner's response.",
+          requestId: result.insertedId,
+        });
+      } catch (error) {
+        console.error('Error creating contact request:', error.message);
+        res.status(500).json({ error: 'Failed to send contact request', details: error.message });
+      }
+    });
+
+    app.get('/contact-requests', authenticate, authorize(PERMISSIONS.CONTACT_REQUESTS_READ), async (req, res) => {
+      try {
+        const { status, stage } = req.query;
+        const filter = status ? { status } : {};
+        if (stage === 'awaiting_owner') Object.assign(filter, awaitingOwnerFilter);
+        else if (stage) filter.stage = stage;
+        const requests = await contactRequestsCollection.find(filter).toArray();
+        const viewer = await getViewerContext(req.user);
+
+        const requestsWithDetails = await Promise.all(
+          requests.map(async (req) => {
+            const biodata = await membersCollection.findOne({ _id: new ObjectId(req.requestedBiodataId) });
+            const requester = await usersCollection.findOne({ 
+              email: { $regex: new RegExp(`^${req.requesterEmail}$`, 'i') } 
+            });
+            return { ...req, stage: contactRequestStage(req), biodata: presentBiodata(biodata, viewer), requester };
+          })
+        );
+
+        res.json(requestsWithDetails);
+      } catch (error) {
+        console.error('Error fetching contact requests:', error.message);
+        res.status(500).json({ error: 'Failed to fetch contact requests', details: error.message });
+      }
+    });
+
+    app.patch('/contact-requests/:id/approve', authenticate, authorize(PERMISSIONS.CONTACT_REQUESTS_MODERATE), async (req, res) => {
+      try {
+        const requestId = req.params.id;
+        if (!ObjectId.isValid(requestId)) {
+          return res.status(400).json({ error: 'Invalid _id format' });
+        }
+
+        // Admins only confirm requests the biodata owner has already accepted
+        const request = await contactRequestsCollection.findOneAndUpdate(
+          { _id: new ObjectId(requestId), stage: 'awaiting_admin' },
+          contactRequestTransition('approved', req.user.email, 'admin', req.body?.note)
+        );
+
+        if (!request) {
+          const existing = await contactRequestsCollection.findOne({ _id: new ObjectId(requestId) });
+          if (!existing) {
+            return res.status(404).json({ error: 'Contact request not found' });
+          }
+          return res.status(409).json({
+            error: `Contact request cannot be approved at stage "${contactRequestStage(existing)}"`,
+          });
+        }
+
+        await recordAudit(req, {
+          action: 'contactRequest.approve',
+          targetType: 'contactRequest',
+          targetId: request._id,
+          targetEmail: request.requesterEmail,
+          before: { status: request.status, stage: contactRequestStage(request) },
+          after: { status: 'approved', stage: 'approved' },
+        });
+
+        await notify(request.requesterEmail, {
+          type: 'contactRequest.approved',
+          title: 'Contact request approved',
+          message: 'Your contact request was approved. You can now see the contact details.',
+          data: { contactRequestId: request._id, biodataId: request.requestedBiodataId },
+        });
+        await queueContactRequestEmail(request, 'contactRequestApproved');
+
+        res.json({ message: 'Contact request approved successfully' });
+      } catch (error) {
+        console.error('Error approving contact request:', error.message);
+        res.status(500).json({ error: 'Failed to approve contact request', details: error.message });
+      }
+    });
+
+    app.patch('/contact-requests/:id/reject', authenticate, authorize(PERMISSIONS.CONTACT_REQUESTS_MODERATE), async (req, res) => {
+      try {
+        const requestId = req.params.id;
+        if (!ObjectId.isValid(requestId)) {
+          return res.status(400).json({ error: 'Invalid _id format' });
+        }
+
+        const request = await contactRequestsCollection.findOneAndUpdate(
+          { _id: new ObjectId(requestId), status: { $nin: ['rejected', 'withdrawn'] } },
+          contactRequestTransition('rejected', req.user.email, 'admin', req.body?.note)
+        );
+
+        if (!request) {
+          const existing = await contactRequestsCollection.findOne({ _id: new ObjectId(requestId) });
+          if (!existing) {
+            return res.status(404).json({ error: 'Contact request not found' });
+          }
+          return res.status(409).json({ error: `Contact request is already ${existing.status}` });
+        }
+
+        await recordAudit(req, {
+          action: 'contactRequest.reject',
+          targetType: 'contactRequest',
+          targetId: request._id,
+          targetEmail: request.requesterEmail,
+          before: { status: request.status, stage: contactRequestStage(request) },
+          after: { status: 'rejected', stage: 'rejected' },
+        });
+
+        await notify(request.requesterEmail, {
+          type: 'contactRequest.rejected',
+          title: 'Contact request rejected',
+          message: 'Your contact request was not approved.',
+          data: { contactRequestId: request._id, biodataId: request.requestedBiodataId },
+        });
+        await queueContactRequestEmail(request, 'contactRequestRejected');
+
+        res.json({ message: 'Contact request rejected successfully' });
+      } catch (error) {
+        console.error('Error rejecting contact request:', error.message);
+        res.status(500).json({ error: 'Failed to reject contact request', details: error.message });
+      }
+    });
+
+    // Contact requests received for the caller's own biodata
+    app.get('/incoming-contact-requests', authenticate, async (req, res) => {
+      try {
+        const { email } = req.user;
+        const { stage } = req.query;
+        const biodata = await membersCollection.findOne({
+          email: { $regex: new RegExp(`^${escapeRegex(email)}$`, 'i') }
+        });
+        if (!biodata) {
+          return res.json([]);
+        }
+
+        const filter = { requestedBiodataId: biodata._id.toString() };
+        if (stage === 'awaiting_owner') Object.assign(filter, awaitingOwnerFilter);
+        else if (stage) filter.stage = stage;
+
+        const requests = await contactRequestsCollection.find(filter).sort({ createdAt: -1 }).toArray();
+        const viewer = await getViewerContext(req.user);
+
+        const requestsWithDetails = await Promise.all(
+          requests.map(async (req) => {
+            const requesterFilter = { email: { $regex: new RegExp(`^${escapeRegex(req.requesterEmail)}$`, 'i') } };
+            const [requester, requesterBiodata] = await Promise.all([
+              usersCollection.findOne(requesterFilter, { projection: { name: 1, photoURL: 1 } }),
+              membersCollection.findOne(requesterFilter, {
+                projection: {
+                  name: 1, email: 1, biodataType: 1, age: 1, dob: 1, occupation: 1, permanentDivision: 1,
+                  profileImage: 1, profileImageVariants: 1, photos: 1, primaryPhotoId: 1, photoVisibility: 1,
+                },
+              }),
+            ]);
+            // Same moderation and photo visibility rules as every other biodata read
+            const presented = requesterBiodata && presentBiodata(requesterBiodata, viewer);
+            return {
+              ...req,
+              stage: contactRequestStage(req),
+              requester,
+              requesterBiodata: presented && {
+                _id: presented._id,
+                name: presented.name,
+                biodataType: presented.biodataType,
+                age: presented.age,
+                occupation: presented.occupation,
+                permanentDivision: presented.permanentDivision,
+                profileImage: presented.profileImage,
+                photoBlurred: presented.photoBlurred,
+              },
+            };
+          })
+        );
+
+        res.json(requestsWithDetails);
+      } catch (error) {
+        console.error('Error fetching incoming contact requests:', error.message);
+        res.status(500).json({ error: 'Failed to fetch incoming contact requests', details: error.message });
+      }
+    });
+
+    // Biodata owner accepts or declines a contact request
+    const respondToContactRequest = (decision) => async (req, res) => {
+      try {
+        const requestId = req.params.id;
+        const { email } = req.user;
+        if (!ObjectId.isValid(requestId)) {
+          return res.status(400).json({ error: 'Invalid _id format' });
+        }
+
+        const biodata = await membersCollection.findOne({
+          email: { $regex: new RegExp(`^${escapeRegex(email)}$`, 'i') }
+        });
+        if (!biodata) {
+          return res.status(404).json({ error: 'Contact request not found' });
+        }
+
+        const nextStage = decision === 'decline'
+          ? 'declined'
+          : (CONTACT_REQUEST_ADMIN_MODERATION ? 'awaiting_admin' : 'approved');
+
+        const request = await contactRequestsCollection.findOneAndUpdate(
+          { _id: new ObjectId(requestId), requestedBiodataId: biodata._id.toString(), ...awaitingOwnerFilter },
+          contactRequestTransition(nextStage, email, 'owner', req.body?.note)
+        );
+
+        if (!request) {
+          const existing = await contactRequestsCollection.findOne({
+            _id: new ObjectId(requestId),
+            requestedBiodataId: biodata._id.toString(),
+          });
+          if (!existing) {
+            return res.status(404).json({ error: 'Contact request not found' });
+          }
+          return res.status(409).json({ error: `Contact request is already at stage "${contactRequestStage(existing)}"` });
+        }
+
+        const outcome = {
+          declined: { title: 'Contact request declined', message: 'Your contact request was declined.' },
+          awaiting_admin: { title: 'Contact request accepted', message: 'Your contact request was accepted and is awaiting admin review.' },
+          approved: { title: 'Contact request approved', message: 'Your contact request was accepted. You can now see the contact details.' },
+        }[nextStage];
+        await notify(request.requesterEmail, {
+          type: nextStage === 'declined' ? 'contactRequest.declined' : 'contactRequest.accepted',
+          ...outcome,
+          data: { contactRequestId: request._id, biodataId: request.requestedBiodataId, stage: nextStage },
+        });
+        if (nextStage === 'approved') await queueContactRequestEmail(request, 'contactRequestApproved');
+        if (nextStage === 'declined') await queueContactRequestEmail(request, 'contactRequestRejected');
+
+        res.json({ message: `Contact request ${decision === 'decline' ? 'declined' : 'accepted'} successfully`, stage: nextStage });
+      } catch (error) {
+        console.error(`Error responding (${decision}) to contact request:`, error.message);
+        res.status(500).json({ error: `Failed to ${decision} contact request`, details: error.message });
+      }
+    };
+
+    app.patch('/incoming-contact-requests/:id/accept', authenticate, respondToContactRequest('accept'));
+    app.patch('/incoming-contact-requests/:id/decline', authenticate, respondToContactRequest('decline'));
+
+    // Requester withdraws a contact request that has not been decided yet
+    app.delete('/contact-requests/:id', authenticate, async (req, res) => {
+      try {
+        const requestId = req.params.id;
+        const { email } = req.user;
+        if (!ObjectId.isValid(requestId)) {
+          return res.status(400).json({ error: 'Invalid _id format' });
+        }
+
+        const request = await contactRequestsCollection.findOneAndUpdate(
+          { _id: new ObjectId(requestId), requesterEmail: email, status: 'pending' },
+          contactRequestTransition('withdrawn', email, 'requester', req.body?.note)
+        );
+
+        if (!request) {
+          const existing = await contactRequestsCollection.findOne({ _id: new ObjectId(requestId), requesterEmail: email });
+          if (!existing) {
+            return res.status(404).json({ error: 'Contact request not found' });
+          }
+          return res.status(409).json({ error: `Only pending contact requests can be withdrawn (current status: ${existing.status})` });
+        }
+
+        // The quota is not given back: withdrawing and re-sending must not get around the monthly limit
+        res.json({ message: 'Contact request withdrawn successfully' });
+      } catch (error) {
+        console.error('Error withdrawing contact request:', error.message);
+        res.status(500).json({ error: 'Failed to withdraw contact request', details: error.message });
+      }
+    });
+
+    // Remaining contact requests in the current quota period
+    app.get('/my-contact-requests/quota', authenticate, async (req, res) => {
+      try {
+        const userDoc = await usersCollection.findOne({
+          email: { $regex: new RegExp(`^${escapeRegex(req.user.email)}$`, 'i') }
+        });
+        if (!userDoc) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+
+        const limit = getContactRequestLimit(userDoc);
+        const used = getContactRequestUsage(userDoc);
+        res.json({
+          period: currentQuotaPeriod(),
+          limit,
+          used,
+          remaining: Math.max(limit - used, 0),
+          resetsAt: quotaPeriodResetsAt(),
+          isPremium: userDoc.isPremium || false,
+        });
+      } catch (error) {
+        console.error('Error fetching contact request quota:', error.message);
+        res.status(500).json({ error: 'Failed to fetch contact request quota', details: error.message });
+      }
+    });
+
+    app.get('/my-contact-requests', authenticate, async (req, res) => {
+      try {
+        const { email } = req.user;
+        const requests = await contactRequestsCollection.find({ requesterEmail: email }).sort({ createdAt: -1 }).toArray();
+        const viewer = await getViewerContext(req.user);
+
+        const requestsWithDetails = await Promise.all(
+          requests.map(async (req) => {
+            if (req.status === 'approved') {
+              const biodata = await membersCollection.findOne({ _id: new ObjectId(req.requestedBiodataId) });
+              return {
+                ...req,
+                stage: contactRequestStage(req),
+                biodata: isBiodataVisible(biodata) ? presentBiodata(biodata, viewer) : null,
+              };
+            }
+            return { ...req, stage: contactRequestStage(req) };
+          })
+        );
+
+        res.json(requestsWithDetails);
+      } catch (error) {
+        console.error('Error fetching my contact requests:', error.message);
+        res.status(500).json({ error: 'Failed to fetch contact requests', details: error.message });
+      }
+    });
+
+    app.get('/success-counter', async (req, res) => {
+      try {
+        const success = await success_counters.find().toArray();
+        res.json(success);
+      } catch (error) {
+        console.error('Error fetching success counters:', error.message);
+        res.status(500).json({ error: 'Failed to fetch success counters', details: error.message });
+      }
+    });
+
+    app.get('/biodatas/:id', optionalAuthenticate, async (req, res) => {
+      try {
+        const id = req.params.id;
+        console.log('Requested _id:', id);
+
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({ error: `Invalid _id format: ${id}` });
+        }
+
+        let member = await membersCollection.findOne({ _id: new ObjectId(id) });
+
+        if (!member) {
+          member = await membersCollection.findOne({ _id: id });
+        }
+
+        if (!member) {
+          const existingDoc = await membersCollection.findOne({ _id: new ObjectId(id) }, { projection: {} });
+          if (existingDoc) {
+            console.log('Incomplete document found for _id:', id, existingDoc);
+            const viewer = await getViewerContext(req.user);
+            return res.status(404).json({
+              error: `Incomplete biodata found with _id: ${id}`,
+              document: presentBiodata(existingDoc, viewer),
+            });
+          }
+          return res.status(404).json({ error: `No biodata found with _id: ${id}` });
+        }
+
+        // Hidden biodatas stay visible to their owner and to staff; deleted ones only to staff
+        if (!isBiodataVisible(member)) {
+          const isOwner = req.user && member.email?.toLowerCase() === req.user.email;
+          const allowed = member.deletedAt
+            ? req.user && await userCan(req.user, PERMISSIONS.BIODATAS_DELETE)
+            : isOwner || (req.user && await userCan(req.user, PERMISSIONS.BIODATAS_EDIT_ANY));
+          if (!allowed) {
+            return res.status(404).json({ error: `No biodata found with _id: ${id}` });
+          }
+        }
+
+        const viewer = await getViewerContext(req.user);
+        if (member.email && viewer.blockedEmails.has(member.email.toLowerCase())) {
+          return res.status(404).json({ error: `No biodata found with _id: ${id}` });
+        }
+
+        const [favouriteCount, ownFavourite] = await Promise.all([
+          favouritesCollection.countDocuments({ biodata_id: member._id }),
+          req.user ? favouritesCollection.findOne({ biodata_id: member._id, userEmail: req.user.email }, { projection: { _id: 1 } }) : null,
+        ]);
+        res.json({
+          ...presentBiodata(member, viewer),
+          favouriteCount,
+          isFavourited: Boolean(ownFavourite),
+          favouriteId: ownFavourite?._id || null,
+        });
+      } catch (error) {
+        console.error(`Error fetching member with _id ${req.params.id}:`, error.message);
+        res.status(500).json({ error: 'Failed to fetch member', details: error.message });
+      }
+    });
+
+    app.get('/biodatas', optionalAuthenticate, async (req, res) => {
+      try {
+        const viewer = await getViewerContext(req.user);
+        const emailQuery = req.query.email;
+        const email = emailQuery ? emailQuery.toLowerCase() : null;
+        const canSeeDeleted = req.user ? await userCan(req.user, PERMISSIONS.BIODATAS_DELETE) : false;
+        if (email) {
+          // Owners still see their own hidden biodata
+          if (viewer.blockedEmails.has(email)) {
+            return res.json([]);
+          }
+          let visibility = VISIBLE_BIODATA_FILTER;
+          if (canSeeDeleted) visibility = {};
+          else if (req.user?.email === email) visibility = { deletedAt: null };
+          const members = await membersCollection.aggregate([
+            { $match: { email: { $regex: new RegExp(`^${escapeRegex(email)}$`, 'i') }, ...visibility } },
+            ...withPremiumLookup,
+          ]).toArray();
+          return res.json(members.map((member) => presentBiodata(member, viewer)));
+        }
+
+        let listQuery;
+        try {
+          listQuery = parseBiodataListQuery(req.query);
+        } catch (err) {
+          return res.status(400).json({ error: err.message });
+        }
+        const { filter, premiumOnly, sort, sortParam, sortField, sortDir, page, limit, cursor } = listQuery;
+        if (req.query.includeDeleted === 'true' && canSeeDeleted) {
+          delete filter.deletedAt;
+          delete filter.isHidden;
+        }
+        if (viewer.blockedEmails.size > 0) {
+          filter.email = emailNotIn(viewer.blockedEmails);
+        }
+
+        // Keyset pagination continues strictly after the last item of the previous page
+        const pageFilter = cursor ? { $and: [filter, afterCursorFilter(sortField, sortDir, cursor)] } : filter;
+        const pageStages = [
+          ...(cursor ? [] : [{ $skip: (page - 1) * limit }]),
+          { $limit: limit + 1 },
+        ];
+
+        // Without the premium filter the join only runs for the page being returned
+        const [total, members] = await Promise.all([
+          premiumOnly
+            ? membersCollection.aggregate([
+              { $match: filter },
+              ...withPremiumLookup,
+              { $match: { isPremium: true } },
+              { $count: 'count' },
+            ]).toArray().then(([result]) => result?.count || 0)
+            : membersCollection.countDocuments(filter),
+          membersCollection.aggregate(premiumOnly
+            ? [{ $match: pageFilter }, { $sort: sort }, ...withPremiumLookup, { $match: { isPremium: true } }, ...pageStages]
+            : [{ $match: pageFilter }, { $sort: sort }, ...pageStages, ...withPremiumLookup]).toArray(),
+        ]);
+
+        const hasMore = members.length > limit;
+        if (hasMore) members.pop();
+        const last = members[members.length - 1];
+
+        res.json({
+          biodatas: members.map((member) => presentBiodata(member, viewer)),
+          total,
+          page: cursor ? null : page,
+          limit,
+          totalPages: Math.ceil(total / limit),
+          nextPage: !cursor && hasMore ? page + 1 : null,
+          nextCursor: hasMore && last ? encodeCursor(sortParam, last[sortField], last._id) : null,
+        });
+      } catch (error) {
+        console.error('Error fetching members:', error.message);
+        res.status(500).json({ error: 'Failed to fetch members', details: error.message });
+      }
+    });
+
+    // Biodatas of the opposite type ranked by how well both sides fit each other's preferences
+    app.get('/matches/me', authenticate, async (req, res) => {
+      try {
+        const { email } = req.user;
+        const own = await membersCollection.findOne({
+          email: { $regex: new RegExp(`^${escapeRegex(email)}$`, 'i') },
+          deletedAt: null,
+        });
+        if (!own) {
+          return res.status(404).json({ error: 'Create a biodata before looking for matches' });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const minScore = Math.min(Math.max(parseInt(req.query.minScore, 10) || 0, 0), 100);
+        const { division, nearby, maritalStatus } = req.query;
+        if (division !== undefined && !DIVISIONS.includes(division)) {
+          return res.status(400).json({ error: `division must be one of: ${DIVISIONS.join(', ')}` });
+        }
+        if (maritalStatus !== undefined && (typeof maritalStatus !== 'string' || !maritalStatus.trim())) {
+          return res.status(400).json({ error: 'maritalStatus must be a non-empty string' });
+        }
+        const viewer = await getViewerContext(req.user);
+
+        // Hard constraints run in Mongo so only plausible candidates are loaded and scored. Age and
+        // height preferences are widened by their scoring tolerance, beyond which a criterion scores 0.
+        const constraints = [];
+        const tolerance = Object.fromEntries(MATCH_CRITERIA.map(({ name, tolerance: units }) => [name, units]));
+        const widen = (range, units) => ({
+          min: range.min !== null ? range.min - units : null,
+          max: range.max !== null ? range.max + units : null,
+        });
+        const partnerAge = parsePartnerRange(own.partnerAge);
+        if (partnerAge) {
+          const { min, max } = widen(partnerAge, tolerance.age);
+          constraints.push(ageRangeFilter(min, max));
+        }
+        const partnerHeight = parsePartnerRange(own.partnerHeight, { feetInches: true });
+        if (partnerHeight) {
+          const { min, max } = widen(partnerHeight, tolerance.height);
+          constraints.push({ height: { ...(min !== null && { $gte: min }), ...(max !== null && { $lte: max }) } });
+        }
+        // division=<name>, or nearby=true for the caller's own division and its neighbours
+        const divisions = division
+          ? [division]
+          : nearby === 'true' && own.permanentDivision
+            ? [own.permanentDivision, ...(DIVISION_NEIGHBOURS[own.permanentDivision] || [])]
+            : null;
+        if (divisions) {
+          constraints.push({ $or: [{ permanentDivision: { $in: divisions } }, { presentDivision: { $in: divisions } }] });
+        }
+        if (maritalStatus) {
+          constraints.push({ maritalStatus: { $regex: new RegExp(`^${escapeRegex(maritalStatus.trim())}$`, 'i') } });
+        }
+
+        const candidates = await membersCollection.find(
+          {
+            ...VISIBLE_BIODATA_FILTER,
+            biodataType: BIODATA_TYPES.find((type) => type !== own.biodataType),
+            _id: { $ne: own._id },
+            ...(viewer.blockedEmails.size > 0 && { email: emailNotIn(viewer.blockedEmails) }),
+            ...(constraints.length > 0 && { $and: constraints }),
+          },
+          { projection: Object.fromEntries(MATCH_FIELDS.map((field) => [field, 1])) }
+        ).sort({ _id: -1 }).limit(MATCH_CANDIDATE_LIMIT).toArray();
+
+        const ranked = candidates
+          .map((candidate) => ({ _id: candidate._id, ...scoreMatch(own, candidate) }))
+          .filter(({ score }) => score >= minScore)
+          .sort((a, b) => b.score - a.score || b._id.getTimestamp() - a._id.getTimestamp());
+
+        const pageItems = ranked.slice((page - 1) * limit, page * limit);
+        const members = await membersCollection.aggregate([
+          { $match: { _id: { $in: pageItems.map(({ _id }) => _id) } } },
+          ...withPremiumLookup,
+        ]).toArray();
+        const byId = new Map(members.map((member) => [member._id.toString(), member]));
+
+        res.json({
+          matches: pageItems
+            .filter(({ _id }) => byId.has(_id.toString()))
+            .map(({ _id, score, breakdown }) => ({
+              biodata: presentBiodata(byId.get(_id.toString()), viewer),
+              score,
+              breakdown,
+            })),
+          total: ranked.length,
+          page,
+          limit,
+          totalPages: Math.ceil(ranked.length / limit),
+          // More candidates passed the prefilter than were scored; narrower filters help
+          candidatesCapped: candidates.length === MATCH_CANDIDATE_LIMIT,
+        });
+      } catch (error) {
+        console.error('Error fetching matches:', error.message);
+        res.status(500).json({ error: 'Failed to fetch matches', details: error.message });
+      }
+    });
+
+    app.get('/biodatas/:id/similar', optionalAuthenticate, async (req, res) => {
+      try {
+        const { id } = req.params;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({ error: `Invalid _id format: ${id}` });
+        }
+
+        const target = await membersCollection.findOne({ _id: new ObjectId(id) });
+        const viewer = await getViewerContext(req.user);
+        const isOwner = req.user?.email && target?.email?.toLowerCase() === req.user.email.toLowerCase();
+        if (!target || !(isBiodataVisible(target) || (isOwner && !target.deletedAt))
+          || (target.email && viewer.blockedEmails.has(target.email.toLowerCase()))) {
+          return res.status(404).json({ error: 'Biodata not found' });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || SIMILAR_DEFAULT_LIMIT, 1), SIMILAR_MAX_LIMIT);
+
+        // Leave out the target, the viewer's own biodata, everything the viewer already favourited and blocked users
+        const excludedIds = [target._id];
+        const match = { ...VISIBLE_BIODATA_FILTER, biodataType: target.biodataType };
+        if (req.user?.email) {
+          const favourites = await favouritesCollection
+            .find({ userEmail: req.user.email }, { projection: { biodata_id: 1 } })
+            .toArray();
+          favourites.forEach(({ biodata_id: biodataId }) => {
+            if (ObjectId.isValid(biodataId)) excludedIds.push(new ObjectId(biodataId));
+          });
+          match.email = emailNotIn([req.user.email, ...viewer.blockedEmails]);
+        }
+        match._id = { $nin: excludedIds };
+        const targetAge = currentAge(target);
+        if (Number.isFinite(targetAge)) {
+          match.$and = [ageRangeFilter(targetAge - SIMILAR_AGE_WINDOW, targetAge + SIMILAR_AGE_WINDOW)];
+        }
+
+        const members = await membersCollection.aggregate([
+          { $match: match },
+          ...withPremiumLookup,
+          ...similarityStages(target),
+          { $sort: { similarityScore: -1, _id: -1 } },
+          { $limit: limit },
+        ]).toArray();
+
+        res.json({ biodatas: members.map((member) => presentBiodata(member, viewer)) });
+      } catch (error) {
+        console.error(`Error fetching biodatas similar to ${req.params.id}:`, error.message);
+        res.status(500).json({ error: 'Failed to fetch similar biodatas', details: error.message });
+      }
+    });
+
+    app.post('/biodatas', authenticate, upload.single('profileImage'), async (req, res) => {
+      try {
+        const biodata = req.body;
+        const { email } = req.user;
+
+        if (!email) {
+          return res.status(400).json({ error: 'Email is required' });
+        }
+
+        const existingBiodata = await membersCollection.findOne({ 
+          email: { $regex: new RegExp(`^${email.toLowerCase()}$`, 'i') } 
+        });
+        if (existingBiodata) {
+          return res.status(400).json({
+            error: existingBiodata.deletedAt
+              ? 'Biodata for this user was deleted and is awaiting purge'
+              : 'Biodata already exists for this user',
+          });
+        }
+
+        const { set: fields, errors } = validateBiodata(biodata);
+        if (errors) {
+          return res.status(400).json({ error: 'Validation failed', fields: errors });
+        }
+
+        if (!req.file) {
+          return res.status(400).json({ error: 'Profile image is required', fields: { profileImage: 'is required' } });
+        }
+
+        let image;
+        try {
+          image = await uploadImage(req.file.buffer);
+        } catch (imgError) {
+          return res.status(imgError.statusCode || 500).json({ error: imgError.message, fields: { profileImage: imgError.message } });
+        }
+        const primaryPhoto = {
+          _id: new ObjectId(),
+          url: image.url,
+          variants: image.variants,
+          storageKeys: image.storageKeys,
+          uploadedAt: new Date(),
+          moderation: pendingModeration(),
+        };
+
+        const userDoc = await usersCollection.findOne({ 
+          email: { $regex: new RegExp(`^${email}$`, 'i') } 
+        });
+        const isPremium = userDoc?.isPremium || false;
+
+        const newBiodata = {
+          ...fields,
+          contactEmail: fields.contactEmail || email.toLowerCase(),
+          photoVisibility: fields.photoVisibility || 'public',
+          profileImage: image.url,
+          profileImageVariants: image.variants,
+          photos: [primaryPhoto],
+          primaryPhotoId: primaryPhoto._id,
+          isPremium,
+          email: email.toLowerCase(),
+          createdAt: new Date(),
+          updatedAt: new Date(),
+        };
+
+        const result = await membersCollection.insertOne(newBiodata);
+        await queueEmail(email, 'biodataCreated', { name: newBiodata.name, biodataId: result.insertedId.toString() });
+        res.status(201).json({
+          message: 'Biodata created successfully',
+          result,
+          updatedBiodata: exposePrivatePhotos({ _id: result.insertedId.toString(), ...newBiodata }),
+        });
+      } catch (error) {
+        console.error('Error creating biodata:', {
+          message: error.message,
+          stack: error.stack,
+        });
+        res.status(500).json({ error: 'Failed to create biodata', details: error.message });
+      }
+    });
+
+    app.patch('/biodatas/:id', authenticate, upload.single('profileImage'), async (req, res) => {
+      try {
+        const id = req.params.id;
+        console.log('Requested _id:', id);
+
+        const biodata = req.body;
+
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({ error: 'Invalid _id format' });
+        }
+
+        const query = { _id: new ObjectId(id) };
+        const existingBiodata = await membersCollection.findOne(query);
+        if (!existingBiodata) {
+          return res.status(404).json({ error: `No biodata found with _id: ${id}` });
+        }
+
+        const canEditAny = await userCan(req.user, PERMISSIONS.BIODATAS_EDIT_ANY);
+        if (existingBiodata.deletedAt && !canEditAny) {
+          return res.status(404).json({ error: `No biodata found with _id: ${id}` });
+        }
+
+        if (!canEditAny && existingBiodata.email.toLowerCase() !== req.user.email.toLowerCase()) {
+          return res.status(403).json({ error: 'Unauthorized: You can only update your own biodata' });
+        }
+
+        const { set: fields, unset, errors } = validateBiodata(biodata, { partial: true });
+        if (errors) {
+          return res.status(400).json({ error: 'Validation failed', fields: errors });
+        }
+
+        // A new profileImage replaces the primary photo of the gallery
+        const updateOptions = { returnDocument: 'after' };
+        let replacedPhoto = null;
+        if (req.file) {
+          let image;
+          try {
+            image = await uploadImage(req.file.buffer);
+          } catch (imgError) {
+            return res.status(imgError.statusCode || 500).json({ error: imgError.message, fields: { profileImage: imgError.message } });
+          }
+          fields.profileImage = image.url;
+          fields.profileImageVariants = image.variants;
+          const gallery = await ensurePhotoGallery(existingBiodata);
+          if (gallery.primaryPhotoId) {
+            replacedPhoto = gallery.photos.find((photo) => photo._id.equals(gallery.primaryPhotoId));
+            fields['photos.$[primary].url'] = image.url;
+            fields['photos.$[primary].variants'] = image.variants;
+            fields['photos.$[primary].storageKeys'] = image.storageKeys;
+            fields['photos.$[primary].uploadedAt'] = new Date();
+            fields['photos.$[primary].moderation'] = pendingModeration();
+            updateOptions.arrayFilters = [{ 'primary._id': gallery.primaryPhotoId }];
+          } else {
+            const photo = {
+              _id: new ObjectId(),
+              url: image.url,
+              variants: image.variants,
+              storageKeys: image.storageKeys,
+              uploadedAt: new Date(),
+              moderation: pendingModeration(),
+            };
+            fields.photos = [photo];
+            fields.primaryPhotoId = photo._id;
+          }
+        }
+
+        // Only the fields sent are changed; blank or `unset` fields are removed
+        const update = { $set: { ...fields, updatedAt: new Date() } };
+        if (unset.length > 0) {
+          update.$unset = Object.fromEntries(unset.map((field) => [field, '']));
+        }
+
+        const updatedBiodata = await membersCollection.findOneAndUpdate(query, update, updateOptions);
+
+        if (!updatedBiodata) {
+          return res.status(404).json({ error: `No biodata found with _id: ${id}` });
+        }
+        await removePhotoFiles([replacedPhoto]);
+
+        if (existingBiodata.email.toLowerCase() !== req.user.email.toLowerCase()) {
+          await recordAudit(req, {
+            action: 'biodata.update',
+            targetType: 'biodata',
+            targetId: id,
+            targetEmail: existingBiodata.email,
+            before: existingBiodata,
+            after: updatedBiodata,
+          });
+        }
+
+        res.json({
+          message: 'Biodata updated successfully',
+          updatedBiodata: exposePrivatePhotos(updatedBiodata),
+        });
+      } catch (error) {
+        console.error('Error updating biodata:', {
+          message: error.message,
+          stack: error.stack,
+        });
+        res.status(500).json({ error: 'Failed to update biodata', details: error.message });
+      }
+    });
+
+    // Soft delete: hidden from every public read, purged after BIODATA_RETENTION_DAYS
+    app.delete('/biodatas/:id', authenticate, authorize(PERMISSIONS.BIODATAS_DELETE), async (req, res) => {
+      try {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({ error: 'Invalid _id format' });
+        }
+        const deletedAt = new Date();
+        const deletedBiodata = await membersCollection.findOneAndUpdate(
+          { _id: new ObjectId(id), deletedAt: null },
+          { $set: { deletedAt, deletedBy: req.user.email, deletedReason: req.body?.reason || null } }
+        );
+        if (!deletedBiodata) {
+          return res.status(404).json({ error: 'Biodata not found' });
+        }
+        await recordAudit(req, {
+          action: 'biodata.delete',
+          targetType: 'biodata',
+          targetId: id,
+          targetEmail: deletedBiodata.email,
+          before: { deletedAt: null },
+          after: { deletedAt, deletedBy: req.user.email },
+        });
+        const purgeAt = new Date(deletedAt.getTime() + BIODATA_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+        res.json({ message: 'Biodata deleted successfully', purgeAt });
+      } catch (error) {
+        console.error('Error deleting biodata:', error.message);
+        res.status(500).json({ error: 'Failed to delete biodata', details: error.message });
+      }
+    });
+
+    // Restore a soft-deleted biodata before it is purged
+    app.post('/biodatas/:id/restore', authenticate, authorize(PERMISSIONS.BIODATAS_DELETE), async (req, res) => {
+      try {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({ error: 'Invalid _id format' });
+        }
+        const restoredBiodata = await membersCollection.findOneAndUpdate(
+          { _id: new ObjectId(id), deletedAt: { $ne: null } },
+          { $set: { deletedAt: null, deletedBy: null, deletedReason: null, updatedAt: new Date() } }
+        );
+        if (!restoredBiodata) {
+          return res.status(404).json({ error: 'Deleted biodata not found' });
+        }
+        await recordAudit(req, {
+          action: 'biodata.restore',
+          targetType: 'biodata',
+          targetId: id,
+          targetEmail: restoredBiodata.email,
+          before: { deletedAt: restoredBiodata.deletedAt, deletedBy: restoredBiodata.deletedBy },
+          after: { deletedAt: null, deletedBy: null },
+        });
+        res.json({ message: 'Biodata restored successfully' });
+      } catch (error) {
+        console.error('Error restoring biodata:', error.message);
+        res.status(500).json({ error: 'Failed to restore biodata', details: error.message });
+      }
+    });
+
+    // Owner (or staff) hides or re-shows a biodata without deleting it
+    app.patch('/biodatas/:id/visibility', authenticate, async (req, res) => {
+      try {
+        const id = req.params.id;
+        const { hidden } = req.body;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({ error: 'Invalid _id format' });
+        }
+        if (typeof hidden !== 'boolean') {
+          return res.status(400).json({ error: 'hidden must be a boolean' });
+        }
+
+        const biodata = await membersCollection.findOne({ _id: new ObjectId(id), deletedAt: null });
+        if (!biodata) {
+          return res.status(404).json({ error: `No biodata found with _id: ${id}` });
+        }
+        const isOwner = biodata.email?.toLowerCase() === req.user.email;
+        if (!isOwner && !(await userCan(req.user, PERMISSIONS.BIODATAS_EDIT_ANY))) {
+          return res.status(403).json({ error: 'Unauthorized: You can only change your own biodata' });
+        }
+
+        await membersCollection.updateOne(
+          { _id: biodata._id },
+          { $set: { isHidden: hidden, hiddenAt: hidden ? new Date() : null, updatedAt: new Date() } }
+        );
+        if (!isOwner) {
+          await recordAudit(req, {
+            action: hidden ? 'biodata.hide' : 'biodata.unhide',
+            targetType: 'biodata',
+            targetId: id,
+            targetEmail: biodata.email,
+            before: { isHidden: biodata.isHidden || false },
+            after: { isHidden: hidden },
+          });
+        }
+        res.json({ message: hidden ? 'Biodata hidden successfully' : 'Biodata is visible again', isHidden: hidden });
+      } catch (error) {
+        console.error('Error changing biodata visibility:', error.message);
+        res.status(500).json({ error: 'Failed to change biodata visibility', details: error.message });
+      }
+    });
+
+    // Add photos to a biodata's gallery (multipart field "photos")
+    app.post('/biodatas/:id/photos', authenticate, upload.array('photos', MAX_BIODATA_PHOTOS), async (req, res) => {
+      try {
+        const biodata = await loadEditableBiodata(req, res);
+        if (!biodata) return;
+
+        const files = req.files || [];
+        if (files.length === 0) {
+          return res.status(400).json({ error: 'At least one photo is required' });
+        }
+        if (biodata.photos.length + files.length > MAX_BIODATA_PHOTOS) {
+          return res.status(409).json({
+            error: `A biodata can have at most ${MAX_BIODATA_PHOTOS} photos (currently ${biodata.photos.length})`,
+          });
+        }
+
+        const photos = [];
+        for (const [index, file] of files.entries()) {
+          try {
+            const image = await uploadImage(file.buffer);
+            photos.push({
+              _id: new ObjectId(),
+              url: image.url,
+              variants: image.variants,
+              storageKeys: image.storageKeys,
+              uploadedAt: new Date(),
+              moderation: pendingModeration(),
+            });
+          } catch (imgError) {
+            await removePhotoFiles(photos);
+            return res.status(imgError.statusCode || 500).json({
+              error: `Photo ${index + 1} (${file.originalname}) could not be uploaded: ${imgError.message}`,
+              uploaded: 0,
+            });
+          }
+        }
+
+        // The slot check in the filter keeps concurrent uploads from exceeding the limit
+        const setPrimary = !biodata.primaryPhotoId;
+        const updated = await membersCollection.findOneAndUpdate(
+          { _id: biodata._id, [`photos.${MAX_BIODATA_PHOTOS - photos.length}`]: { $exists: false } },
+          {
+            $push: { photos: { $each: photos } },
+            $set: {
+              updatedAt: new Date(),
+              ...(setPrimary && {
+                primaryPhotoId: photos[0]._id,
+                profileImage: photos[0].url,
+                profileImageVariants: photos[0].variants,
+              }),
+            },
+          },
+          { returnDocument: 'after' }
+        );
+        if (!updated) {
+          await removePhotoFiles(photos);
+          return res.status(409).json({ error: `A biodata can have at most ${MAX_BIODATA_PHOTOS} photos` });
+        }
+        await auditGalleryChange(req, 'photo.add', biodata, updated);
+
+        res.status(201).json({ message: 'Photos added successfully', ...photoGalleryResponse(updated) });
+      } catch (error) {
+        console.error('Error adding photos:', error.message);
+        res.status(500).json({ error: 'Failed to add photos', details: error.message });
       }
     });
 
-    app.get('/users', authenticate, authorizeAdmin, async (req, res) => {
+    // Reorder the gallery; `order` must list every photo ID exactly once
+    app.patch('/biodatas/:id/photos/order', authenticate, async (req, res) => {
       try {
-        const users = await usersCollection.find().toArray();
-        res.json(users);
+        const biodata = await loadEditableBiodata(req, res);
+        if (!biodata) return;
+
+        const { order } = req.body;
+        const currentIds = biodata.photos.map((photo) => photo._id.toString());
+        if (
+          !Array.isArray(order)
+          || order.length !== currentIds.length
+          || new Set(order).size !== order.length
+          || !order.every((photoId) => currentIds.includes(String(photoId)))
+        ) {
+          return res.status(400).json({ error: 'order must contain every photo ID exactly once', photoIds: currentIds });
+        }
+
+        const photos = order.map((photoId) => biodata.photos.find((photo) => photo._id.toString() === String(photoId)));
+        const updated = await membersCollection.findOneAndUpdate(
+          { _id: biodata._id, photos: { $size: currentIds.length } },
+          { $set: { photos, updatedAt: new Date() } },
+          { returnDocument: 'after' }
+        );
+        if (!updated) {
+          return res.status(409).json({ error: 'The gallery changed while reordering; reload and try again' });
+        }
+        await auditGalleryChange(req, 'photo.reorder', biodata, updated);
+
+        res.json({ message: 'Photos reordered successfully', ...photoGalleryResponse(updated) });
       } catch (error) {
-        console.error('Error fetching users:', error.message);
-        res.status(500).json({ error: 'Failed to fetch users', details: error.message });
+        console.error('Error reordering photos:', error.message);
+        res.status(500).json({ error: 'Failed to reorder photos', details: error.message });
       }
     });
 
-    app.get('/users/:email', authenticate, async (req, res) => {
+    // Make a photo the primary one shown as profileImage
+    app.patch('/biodatas/:id/photos/:photoId/primary', authenticate, async (req, res) => {
       try {
-        const emailParam = req.params.email.toLowerCase();
-        if (!emailParam) {
-          return res.status(400).json({ error: 'Email is required' });
-        }
-        const userDoc = await usersCollection.findOne({ 
-          email: { $regex: new RegExp(`^${emailParam}$`, 'i') } 
-        });
-        if (!userDoc) {
-          return res.status(404).json({ error: 'User not found' });
+        const biodata = await loadEditableBiodata(req, res);
+        if (!biodata) return;
+
+        const photo = biodata.photos.find((item) => item._id.toString() === req.params.photoId);
+        if (!photo) {
+          return res.status(404).json({ error: 'Photo not found' });
         }
-        if (req.user.email !== emailParam) {
-          const currentUser = await usersCollection.findOne({ 
-            email: { $regex: new RegExp(`^${req.user.email}$`, 'i') } 
-          });
-          if (!currentUser || currentUser.role !== 'admin') {
-            return res.status(403).json({ error: 'Forbidden: Can only fetch own user data' });
-          }
+
+        const updated = await membersCollection.findOneAndUpdate(
+          { _id: biodata._id, 'photos._id': photo._id },
+          {
+            $set: {
+              primaryPhotoId: photo._id,
+              profileImage: photo.url,
+              profileImageVariants: photo.variants || null,
+              updatedAt: new Date(),
+            },
+          },
+          { returnDocument: 'after' }
+        );
+        if (!updated) {
+          return res.status(404).json({ error: 'Photo not found' });
         }
-        res.json(userDoc);
+        await auditGalleryChange(req, 'photo.setPrimary', biodata, updated);
+
+        res.json({ message: 'Primary photo updated successfully', ...photoGalleryResponse(updated) });
       } catch (error) {
-        console.error('Error fetching user:', error.message);
-        res.status(500).json({ error: 'Failed to fetch user', details: error.message });
+        console.error('Error setting primary photo:', error.message);
+        res.status(500).json({ error: 'Failed to set primary photo', details: error.message });
       }
     });
 
-    // New endpoint to get user by UID
-    app.get('/users/uid/:uid', authenticate, async (req, res) => {
+    // Remove a photo; the next photo becomes primary if the primary one is removed
+    app.delete('/biodatas/:id/photos/:photoId', authenticate, async (req, res) => {
       try {
-        const uid = req.params.uid;
-        if (!uid) {
-          return res.status(400).json({ error: 'UID is required' });
+        const biodata = await loadEditableBiodata(req, res);
+        if (!biodata) return;
+
+        const photo = biodata.photos.find((item) => item._id.toString() === req.params.photoId);
+        if (!photo) {
+          return res.status(404).json({ error: 'Photo not found' });
         }
-        const userDoc = await usersCollection.findOne({ uid });
-        if (!userDoc) {
-          return res.status(404).json({ error: 'User not found' });
+        if (biodata.photos.length === 1) {
+          return res.status(409).json({ error: 'A biodata must keep at least one photo' });
         }
-        if (req.user.uid !== uid) {
-          const currentUser = await usersCollection.findOne({ uid: req.user.uid });
-          if (!currentUser || currentUser.role !== 'admin') {
-            return res.status(403).json({ error: 'Forbidden: Can only fetch own user data' });
-          }
+
+        const remaining = biodata.photos.filter((item) => !item._id.equals(photo._id));
+        const wasPrimary = biodata.primaryPhotoId?.equals(photo._id);
+        const updated = await membersCollection.findOneAndUpdate(
+          { _id: biodata._id, 'photos._id': photo._id },
+          {
+            $pull: { photos: { _id: photo._id } },
+            $set: {
+              updatedAt: new Date(),
+              ...(wasPrimary && {
+                primaryPhotoId: remaining[0]._id,
+                profileImage: remaining[0].url,
+                profileImageVariants: remaining[0].variants || null,
+              }),
+            },
+          },
+          { returnDocument: 'after' }
+        );
+        if (!updated) {
+          return res.status(404).json({ error: 'Photo not found' });
         }
-        res.json(userDoc);
+        await removePhotoFiles([photo]);
+        await auditGalleryChange(req, 'photo.delete', biodata, updated);
+
+        res.json({ message: 'Photo deleted successfully', ...photoGalleryResponse(updated) });
       } catch (error) {
-        console.error('Error fetching user by uid:', error.message);
-        res.status(500).json({ error: 'Failed to fetch user', details: error.message });
+        console.error('Error deleting photo:', error.message);
+        res.status(500).json({ error: 'Failed to delete photo', details: error.message });
       }
     });
 
-    app.patch('/users/:email/role', authenticate, authorizeAdmin, async (req, res) => {
+    app.get('/me/notification-preferences', authenticate, async (req, res) => {
       try {
-        const emailToUpdate = req.params.email.toLowerCase();
-        const { role } = req.body;
-
-        if (!emailToUpdate) return res.status(400).json({ error: 'Email is required' });
-        if (!['admin', 'user'].includes(role)) return res.status(400).json({ error: 'Role must be "admin" or "user"' });
-
-        const userToUpdate = await usersCollection.findOne({ 
-          email: { $regex: new RegExp(`^${emailToUpdate}$`, 'i') } 
-        });
-        if (!userToUpdate) return res.status(404).json({ error: 'User not found' });
+        const userDoc = await usersCollection.findOne(
+          { email: { $regex: new RegExp(`^${escapeRegex(req.user.email)}$`, 'i') } },
+          { projection: { notificationPreferences: 1 } }
+        );
+        res.json({ email: getEmailPreferences(userDoc) });
+      } catch (error) {
+        console.error('Error fetching notification preferences:', error.message);
+        res.status(500).json({ error: 'Failed to fetch notification preferences', details: error.message });
+      }
+    });
 
-        if (req.user.email === emailToUpdate) {
-          return res.status(403).json({ error: 'Cannot change your own role' });
+    // Body: { email: { <category>: true|false } }; categories left out keep their setting
+    app.patch('/me/notification-preferences', authenticate, async (req, res) => {
+      try {
+        const emailPreferences = req.body?.email;
+        if (!emailPreferences || typeof emailPreferences !== 'object' || Array.isArray(emailPreferences)) {
+          return res.status(400).json({ error: 'Send { "email": { "<category>": true|false } }', categories: EMAIL_CATEGORIES });
+        }
+        const invalid = Object.entries(emailPreferences)
+          .filter(([category, enabled]) => !EMAIL_CATEGORIES.includes(category) || typeof enabled !== 'boolean')
+          .map(([category]) => category);
+        if (invalid.length > 0) {
+          return res.status(400).json({
+            error: `Invalid preferences: ${invalid.join(', ')}`,
+            details: `Categories are ${EMAIL_CATEGORIES.join(', ')} and values must be true or false`,
+          });
         }
 
-        const result = await usersCollection.updateOne(
-          { email: { $regex: new RegExp(`^${emailToUpdate}$`, 'i') } },
-          { $set: { role, updatedAt: new Date() } }
+        const updates = Object.fromEntries(
+          Object.entries(emailPreferences).map(([category, enabled]) => [`notificationPreferences.email.${category}`, enabled])
         );
-
-        if (result.matchedCount === 0) {
+        const userDoc = await usersCollection.findOneAndUpdate(
+          { email: { $regex: new RegExp(`^${escapeRegex(req.user.email)}$`, 'i') } },
+          { $set: { ...updates, updatedAt: new Date() } },
+          { returnDocument: 'after', projection: { notificationPreferences: 1 } }
+        );
+        if (!userDoc) {
           return res.status(404).json({ error: 'User not found' });
         }
-
-        res.status(200).json({ message: `User role updated to ${role} successfully`, updatedRole: role });
-      } catch (err) {
-        console.error('Error updating user role:', err.message);
-        res.status(500).json({ error: 'Failed to update user role', details: err.message });
+        res.json({ email: getEmailPreferences(userDoc) });
+      } catch (error) {
+        console.error('Error updating notification preferences:', error.message);
+        res.status(500).json({ error: 'Failed to update notification preferences', details: error.message });
       }
     });
 
-    app.patch('/users/:email/premium', authenticate, authorizeAdmin, async (req, res) => {
+    // The caller's notifications, newest first, with the unread count. Clients that cannot
+    // stream poll with `after` set to the newest notification ID they have.
+    app.get('/notifications', authenticate, async (req, res) => {
       try {
-        const emailToUpdate = req.params.email.toLowerCase();
-        const { isPremium } = req.body;
+        const { email } = req.user;
+        const { after } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const filter = { recipientEmail: email };
+        if (req.query.unread === 'true') filter.readAt = null;
+        if (after !== undefined) {
+          if (typeof after !== 'string' || !ObjectId.isValid(after)) {
+            return res.status(400).json({ error: 'Invalid after format' });
+          }
+          filter._id = { $gt: new ObjectId(after) };
+        }
 
-        if (!emailToUpdate) return res.status(400).json({ error: 'Email is required' });
-        if (typeof isPremium !== 'boolean') return res.status(400).json({ error: 'isPremium must be a boolean' });
+        const [total, unreadCount, notifications] = await Promise.all([
+          notificationsCollection.countDocuments(filter),
+          notificationsCollection.countDocuments({ recipientEmail: email, readAt: null }),
+          notificationsCollection.find(filter).sort({ _id: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+        ]);
 
-        const userToUpdate = await usersCollection.findOne({ 
-          email: { $regex: new RegExp(`^${emailToUpdate}$`, 'i') } 
-        });
-        if (!userToUpdate) return res.status(404).json({ error: 'User not found' });
+        res.json({ notifications, unreadCount, total, page, limit, totalPages: Math.ceil(total / limit) });
+      } catch (error) {
+        console.error('Error fetching notifications:', error.message);
+        res.status(500).json({ error: 'Failed to fetch notifications', details: error.message });
+      }
+    });
 
-        const result = await usersCollection.updateOne(
-          { email: { $regex: new RegExp(`^${emailToUpdate}$`, 'i') } },
-          { $set: { isPremium, updatedAt: new Date() } }
+    app.patch('/notifications/read-all', authenticate, async (req, res) => {
+      try {
+        const result = await notificationsCollection.updateMany(
+          { recipientEmail: req.user.email, readAt: null },
+          { $set: { readAt: new Date() } }
         );
+        res.json({ message: 'Notifications marked as read', markedRead: result.modifiedCount });
+      } catch (error) {
+        console.error('Error marking notifications as read:', error.message);
+        res.status(500).json({ error: 'Failed to mark notifications as read', details: error.message });
+      }
+    });
 
-        if (result.matchedCount === 0) {
-          return res.status(404).json({ error: 'User not found' });
+    app.patch('/notifications/:id/read', authenticate, async (req, res) => {
+      try {
+        const { id } = req.params;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({ error: 'Invalid _id format' });
         }
-
-        await membersCollection.updateOne(
-          { email: { $regex: new RegExp(`^${emailToUpdate}$`, 'i') } },
-          { $set: { isPremium, updatedAt: new Date() } }
+        const notification = await notificationsCollection.findOneAndUpdate(
+          { _id: new ObjectId(id), recipientEmail: req.user.email },
+          [{ $set: { readAt: { $ifNull: ['$readAt', '$$NOW'] } } }],
+          { returnDocument: 'after' }
         );
+        if (!notification) {
+          return res.status(404).json({ error: 'Notification not found' });
+        }
+        res.json(notification);
+      } catch (error) {
+        console.error('Error marking notification as read:', error.message);
+        res.status(500).json({ error: 'Failed to mark notification as read', details: error.message });
+      }
+    });
 
-        res.status(200).json({ message: `User premium status updated to ${isPremium ? 'premium' : 'normal'} successfully`, isPremium });
-      } catch (err) {
-        console.error('Error updating user premium status:', err.message);
-        res.status(500).json({ error: 'Failed to update user premium status', details: err.message });
+    // Single-use ticket for opening GET /notifications/stream, valid for a minute
+    app.post('/notifications/stream-ticket', authenticate, async (req, res) => {
+      try {
+        const ticket = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = new Date(Date.now() + STREAM_TICKET_TTL_MS);
+        await streamTicketsCollection.insertOne({
+          ticketHash: hashStreamTicket(ticket),
+          email: req.user.email,
+          uid: req.user.uid,
+          tokenExpiresAt: new Date(req.tokenExpiresAt),
+          expiresAt,
+          createdAt: new Date(),
+        });
+        res.status(201).json({ ticket, expiresAt });
+      } catch (error) {
+        console.error('Error issuing stream ticket:', error.message);
+        res.status(500).json({ error: 'Failed to issue stream ticket', details: error.message });
       }
     });
 
-    app.post('/contact-requests', authenticate, async (req, res) => {
+    // Live notifications as Server-Sent Events, opened with ?ticket= from POST /notifications/stream-ticket.
+    // On reconnect, notifications after Last-Event-ID are replayed. The stream ends with a `reconnect`
+    // event after NOTIFICATION_STREAM_MAX_MS, or `token-expired` when the ID token the ticket was issued
+    // for expires; either way the client fetches a new ticket and reopens it.
+    app.get('/notifications/stream', authenticateStreamTicket, async (req, res) => {
       try {
-        const { biodataId } = req.body;
         const { email } = req.user;
+        const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+        const [unreadCount, latest] = await Promise.all([
+          notificationsCollection.countDocuments({ recipientEmail: email, readAt: null }),
+          notificationsCollection.findOne({ recipientEmail: email }, { sort: { _id: -1 }, projection: { _id: 1 } }),
+        ]);
+
+        // Without Last-Event-ID only notifications from now on are sent
+        const lastId = lastEventId && ObjectId.isValid(lastEventId) ? new ObjectId(lastEventId) : latest?._id || null;
+        const stream = openNotificationStream(req, res, {
+          lastId,
+          maxDurationMs: NOTIFICATION_STREAM_MAX_MS,
+          fetchAfter: (after) => notificationsCollection
+            .find({ recipientEmail: email, ...(after && { _id: { $gt: after } }) })
+            .sort({ _id: 1 })
+            .limit(MAX_PAGE_SIZE)
+            .toArray(),
+        });
+        stream.send({ event: 'unread-count', data: { unreadCount } });
+        await stream.poll();
+
+        const expiry = setTimeout(() => {
+          stream.send({ event: 'token-expired', data: {} });
+          stream.close();
+        }, Math.max(req.tokenExpiresAt - Date.now(), 0));
+        expiry.unref();
+        req.on('close', () => clearTimeout(expiry));
+      } catch (error) {
+        console.error('Error opening notification stream:', error.message);
+        if (!res.headersSent) {
+          res.status(500).json({ error: 'Failed to open notification stream', details: error.message });
+        } else {
+          res.end();
+        }
+      }
+    });
 
-        if (!biodataId) {
-          return res.status(400).json({ error: 'Biodata ID is required' });
+    // Approved contact request between two users, in either direction, or null
+    async function findApprovedContactRequest(emailA, emailB) {
+      const biodatas = await membersCollection.find(
+        {
+          email: { $in: [emailA, emailB].map((email) => new RegExp(`^${escapeRegex(email)}$`, 'i')) },
+          deletedAt: null,
+        },
+        { projection: { email: 1 } }
+      ).toArray();
+      const biodataIdsOf = (email) => biodatas
+        .filter((biodata) => biodata.email?.toLowerCase() === email)
+        .map((biodata) => biodata._id.toString());
+
+      return contactRequestsCollection.findOne({
+        status: 'approved',
+        $or: [
+          { requesterEmail: emailA, requestedBiodataId: { $in: biodataIdsOf(emailB) } },
+          { requesterEmail: emailB, requestedBiodataId: { $in: biodataIdsOf(emailA) } },
+        ],
+      });
+    }
+
+    // Load a conversation the caller takes part in; with `allowStaff`, message readers may open any
+    async function loadConversation(req, res, { allowStaff = false } = {}) {
+      const { id } = req.params;
+      if (!ObjectId.isValid(id)) {
+        res.status(400).json({ error: 'Invalid _id format' });
+        return null;
+      }
+      const conversation = await conversationsCollection.findOne({ _id: new ObjectId(id) });
+      if (!conversation) {
+        res.status(404).json({ error: 'Conversation not found' });
+        return null;
+      }
+      if (!conversation.participants.includes(req.user.email)
+        && !(allowStaff && await userCan(req.user, PERMISSIONS.MESSAGES_READ))) {
+        res.status(404).json({ error: 'Conversation not found' });
+        return null;
+      }
+      return conversation;
+    }
+
+    const otherParticipant = (conversation, email) =>
+      conversation.participants.find((participant) => participant !== email) || null;
+
+    // Open (or return the existing) conversation for an approved contact request the caller is part of
+    app.post('/conversations', authenticate, async (req, res) => {
+      try {
+        const { contactRequestId } = req.body;
+        const { email } = req.user;
+        if (!contactRequestId || !ObjectId.isValid(contactRequestId)) {
+          return res.status(400).json({ error: 'Valid contactRequestId is required' });
         }
 
-        let userDoc = await membersCollection.findOne({ 
-          email: { $regex: new RegExp(`^${email}$`, 'i') } 
-        });
-        let isPremium = userDoc?.isPremium || false;
-        if (!isPremium) {
-          userDoc = await usersCollection.findOne({ 
-            email: { $regex: new RegExp(`^${email}$`, 'i') } 
-          });
-          isPremium = userDoc?.isPremium || false;
+        const request = await contactRequestsCollection.findOne({ _id: new ObjectId(contactRequestId) });
+        const biodata = request && ObjectId.isValid(request.requestedBiodataId)
+          ? await membersCollection.findOne({ _id: new ObjectId(request.requestedBiodataId), deletedAt: null }, { projection: { email: 1 } })
+          : null;
+        const ownerEmail = biodata?.email?.toLowerCase();
+        if (!request || !ownerEmail || ![request.requesterEmail, ownerEmail].includes(email)) {
+          return res.status(404).json({ error: 'Contact request not found' });
         }
-        if (!isPremium) {
-          return res.status(403).json({ error: 'Only premium users can send contact requests. Please upgrade to premium.' });
+        if (request.status !== 'approved') {
+          return res.status(403).json({ error: 'Messaging opens once the contact request is approved' });
         }
-
-        const existingRequest = await contactRequestsCollection.findOne({
-          requesterEmail: email,
-          requestedBiodataId: biodataId,
-        });
-
-        if (existingRequest) {
-          return res.status(400).json({ error: 'Contact request already sent for this biodata.' });
+        if (await isBlockedBetween(request.requesterEmail, ownerEmail)) {
+          return res.status(403).json({ error: 'You cannot message this member' });
         }
 
-        const request = {
-          requesterEmail: email,
-          requestedBiodataId: biodataId,
-          status: 'pending',
-          createdAt: new Date(),
-        };
+        const participants = [request.requesterEmail, ownerEmail].sort();
+        const now = new Date();
+        const conversation = await conversationsCollection.findOneAndUpdate(
+          { participantKey: conversationKey(...participants) },
+          {
+            $setOnInsert: {
+              participants,
+              participantKey: conversationKey(...participants),
+              contactRequestId: request._id,
+              blockedBy: [],
+              lastMessage: null,
+              lastMessageAt: null,
+              createdAt: now,
+            },
+          },
+          { upsert: true, returnDocument: 'after', includeResultMetadata: true }
+        );
 
-        const result = await contactRequestsCollection.insertOne(request);
-        res.status(201).json({
-          message: 'Contact request sent successfully. Waiting for admin approval.',
-          requestId: result.insertedId,
-        });
+        const created = !conversation.lastErrorObject?.updatedExisting;
+        res.status(created ? 201 : 200).json(conversation.value);
       } catch (error) {
-        console.error('Error creating contact request:', error.message);
-        res.status(500).json({ error: 'Failed to send contact request', details: error.message });
+        console.error('Error opening conversation:', error.message);
+        res.status(500).json({ error: 'Failed to open conversation', details: error.message });
       }
     });
 
-    app.get('/contact-requests', authenticate, authorizeAdmin, async (req, res) => {
+    // The caller's conversations, most recently active first, with unread counts
+    app.get('/conversations', authenticate, async (req, res) => {
       try {
-        const { status } = req.query;
-        const filter = status ? { status } : {};
-        const requests = await contactRequestsCollection.find(filter).toArray();
+        const { email } = req.user;
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const filter = { participants: email };
+
+        const [total, conversations] = await Promise.all([
+          conversationsCollection.countDocuments(filter),
+          conversationsCollection.find(filter)
+            .sort({ lastMessageAt: -1, createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .toArray(),
+        ]);
+
+        const withUnread = await Promise.all(conversations.map(async (conversation) => ({
+          ...conversation,
+          otherParticipant: otherParticipant(conversation, email),
+          isBlocked: conversation.blockedBy.length > 0,
+          unreadCount: await messagesCollection.countDocuments({
+            conversationId: conversation._id,
+            senderEmail: { $ne: email },
+            readAt: null,
+          }),
+        })));
+
+        res.json({ conversations: withUnread, total, page, limit, totalPages: Math.ceil(total / limit) });
+      } catch (error) {
+        console.error('Error fetching conversations:', error.message);
+        res.status(500).json({ error: 'Failed to fetch conversations', details: error.message });
+      }
+    });
 
-        const requestsWithDetails = await Promise.all(
-          requests.map(async (req) => {
-            const biodata = await membersCollection.findOne({ _id: new ObjectId(req.requestedBiodataId) });
-            const requester = await usersCollection.findOne({ 
-              email: { $regex: new RegExp(`^${req.requesterEmail}$`, 'i') } 
-            });
-            return { ...req, biodata, requester };
-          })
-        );
+    // Messages newest first; pass ?before=<messageId> to page back through older ones
+    app.get('/conversations/:id/messages', authenticate, async (req, res) => {
+      try {
+        const conversation = await loadConversation(req, res, { allowStaff: true });
+        if (!conversation) return;
+        const { before } = req.query;
+        if (before && !ObjectId.isValid(before)) {
+          return res.status(400).json({ error: 'before must be a message _id' });
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+
+        const filter = { conversationId: conversation._id };
+        if (before) filter._id = { $lt: new ObjectId(before) };
+        const messages = await messagesCollection.find(filter).sort({ _id: -1 }).limit(limit + 1).toArray();
+        const hasMore = messages.length > limit;
+        if (hasMore) messages.pop();
+
+        // Staff reading someone else's messages is always on the record
+        if (!conversation.participants.includes(req.user.email)) {
+          await recordAudit(req, {
+            action: 'conversation.read',
+            targetType: 'conversation',
+            targetId: conversation._id.toString(),
+            targetEmail: conversation.participants[0],
+            after: { participants: conversation.participants, reason: req.query.reason || null },
+          });
+        }
 
-        res.json(requestsWithDetails);
+        res.json({
+          messages,
+          nextBefore: hasMore ? messages[messages.length - 1]._id : null,
+        });
       } catch (error) {
-        console.error('Error fetching contact requests:', error.message);
-        res.status(500).json({ error: 'Failed to fetch contact requests', details: error.message });
+        console.error('Error fetching messages:', error.message);
+        res.status(500).json({ error: 'Failed to fetch messages', details: error.message });
       }
     });
 
-    app.patch('/contact-requests/:id/approve', authenticate, authorizeAdmin, async (req, res) => {
+    app.post('/conversations/:id/messages', authenticate, async (req, res) => {
       try {
-        const requestId = req.params.id;
-        const result = await contactRequestsCollection.updateOne(
-          { _id: new ObjectId(requestId) },
-          { $set: { status: 'approved', approvedAt: new Date() } }
-        );
+        const conversation = await loadConversation(req, res);
+        if (!conversation) return;
+        const { email } = req.user;
 
-        if (result.matchedCount === 0) {
-          return res.status(404).json({ error: 'Contact request not found' });
+        const body = typeof req.body?.body === 'string' ? req.body.body.trim() : '';
+        if (!body) {
+          return res.status(400).json({ error: 'Message body is required' });
+        }
+        if (body.length > MAX_MESSAGE_LENGTH) {
+          return res.status(400).json({ error: `Messages can be at most ${MAX_MESSAGE_LENGTH} characters` });
+        }
+        if (conversation.blockedBy.length > 0) {
+          return res.status(403).json({ error: 'This conversation has been blocked' });
         }
 
-        res.json({ message: 'Contact request approved successfully' });
+        const recipient = otherParticipant(conversation, email);
+        if (!recipient) {
+          return res.status(403).json({ error: 'The other member has deleted their account' });
+        }
+        if (await isBlockedBetween(email, recipient)) {
+          return res.status(403).json({ error: 'You cannot message this member' });
+        }
+        if (!(await findApprovedContactRequest(email, recipient))) {
+          return res.status(403).json({ error: 'Messaging requires an approved contact request' });
+        }
+
+        const windowStart = new Date(Date.now() - MESSAGE_RATE_WINDOW_MS);
+        const recent = await messagesCollection.countDocuments({ senderEmail: email, sentAt: { $gt: windowStart } });
+        if (recent >= MESSAGE_RATE_LIMIT) {
+          res.set('Retry-After', String(Math.ceil(MESSAGE_RATE_WINDOW_MS / 1000)));
+          return res.status(429).json({ error: 'You are sending messages too quickly. Please wait a moment.' });
+        }
+
+        const message = {
+          conversationId: conversation._id,
+          senderEmail: email,
+          recipientEmail: recipient,
+          body,
+          sentAt: new Date(),
+          readAt: null,
+        };
+        const result = await messagesCollection.insertOne(message);
+        await conversationsCollection.updateOne(
+          { _id: conversation._id },
+          {
+            $set: {
+              lastMessage: { senderEmail: email, preview: body.slice(0, 100), sentAt: message.sentAt },
+              lastMessageAt: message.sentAt,
+            },
+          }
+        );
+
+        res.status(201).json({ ...message, _id: result.insertedId });
       } catch (error) {
-        console.error('Error approving contact request:', error.message);
-        res.status(500).json({ error: 'Failed to approve contact request', details: error.message });
+        console.error('Error sending message:', error.message);
+        res.status(500).json({ error: 'Failed to send message', details: error.message });
       }
     });
 
-    app.patch('/contact-requests/:id/reject', authenticate, authorizeAdmin, async (req, res) => {
+    // Mark every message from the other participant as read
+    app.patch('/conversations/:id/read', authenticate, async (req, res) => {
       try {
-        const requestId = req.params.id;
-        const result = await contactRequestsCollection.updateOne(
-          { _id: new ObjectId(requestId) },
-          { $set: { status: 'rejected', rejectedAt: new Date() } }
+        const conversation = await loadConversation(req, res);
+        if (!conversation) return;
+
+        const result = await messagesCollection.updateMany(
+          { conversationId: conversation._id, senderEmail: { $ne: req.user.email }, readAt: null },
+          { $set: { readAt: new Date() } }
         );
+        res.json({ message: 'Conversation marked as read', markedRead: result.modifiedCount });
+      } catch (error) {
+        console.error('Error marking conversation as read:', error.message);
+        res.status(500).json({ error: 'Failed to mark conversation as read', details: error.message });
+      }
+    });
 
-        if (result.matchedCount === 0) {
-          return res.status(404).json({ error: 'Contact request not found' });
-        }
+    // Either participant can block; nobody can send until every participant who blocked unblocks
+    app.post('/conversations/:id/block', authenticate, async (req, res) => {
+      try {
+        const conversation = await loadConversation(req, res);
+        if (!conversation) return;
 
-        res.json({ message: 'Contact request rejected successfully' });
+        await conversationsCollection.updateOne(
+          { _id: conversation._id },
+          { $addToSet: { blockedBy: req.user.email }, $set: { blockedAt: new Date() } }
+        );
+        res.json({ message: 'Conversation blocked' });
       } catch (error) {
-        console.error('Error rejecting contact request:', error.message);
-        res.status(500).json({ error: 'Failed to reject contact request', details: error.message });
+        console.error('Error blocking conversation:', error.message);
+        res.status(500).json({ error: 'Failed to block conversation', details: error.message });
       }
     });
 
-    app.get('/my-contact-requests', authenticate, async (req, res) => {
+    app.delete('/conversations/:id/block', authenticate, async (req, res) => {
       try {
-        const { email } = req.user;
-        const requests = await contactRequestsCollection.find({ requesterEmail: email }).sort({ createdAt: -1 }).toArray();
+        const conversation = await loadConversation(req, res);
+        if (!conversation) return;
 
-        const requestsWithDetails = await Promise.all(
-          requests.map(async (req) => {
-            if (req.status === 'approved') {
-              const biodata = await membersCollection.findOne({ _id: new ObjectId(req.requestedBiodataId) });
-              return { ...req, biodata };
-            }
-            return req;
-          })
+        await conversationsCollection.updateOne(
+          { _id: conversation._id },
+          { $pull: { blockedBy: req.user.email } }
         );
-
-        res.json(requestsWithDetails);
+        res.json({ message: 'Conversation unblocked' });
       } catch (error) {
-        console.error('Error fetching my contact requests:', error.message);
-        res.status(500).json({ error: 'Failed to fetch contact requests', details: error.message });
+        console.error('Error unblocking conversation:', error.message);
+        res.status(500).json({ error: 'Failed to unblock conversation', details: error.message });
       }
     });
 
-    app.get('/success-counter', async (req, res) => {
+    // Conversations involving a user, for following up abuse reports
+    app.get('/admin/conversations', authenticate, authorize(PERMISSIONS.MESSAGES_READ), async (req, res) => {
       try {
-        const success = await success_counters.find().toArray();
-        res.json(success);
+        const email = req.query.email ? String(req.query.email).toLowerCase() : null;
+        if (!email) {
+          return res.status(400).json({ error: 'email is required' });
+        }
+        const conversations = await conversationsCollection
+          .find({ participants: email })
+          .sort({ lastMessageAt: -1, createdAt: -1 })
+          .toArray();
+        res.json(conversations);
       } catch (error) {
-        console.error('Error fetching success counters:', error.message);
-        res.status(500).json({ error: 'Failed to fetch success counters', details: error.message });
+        console.error('Error fetching conversations for admin:', error.message);
+        res.status(500).json({ error: 'Failed to fetch conversations', details: error.message });
       }
     });
 
-    app.get('/biodatas/:id', async (req, res) => {
+    // Flag a biodata as fake or abusive for the moderators' reports queue
+    app.post('/biodatas/:id/report', authenticate, async (req, res) => {
       try {
-        const id = req.params.id;
-        console.log('Requested _id:', id);
-
+        const { id } = req.params;
+        const { email } = req.user;
         if (!ObjectId.isValid(id)) {
           return res.status(400).json({ error: `Invalid _id format: ${id}` });
         }
+        const { reason } = req.body;
+        const details = typeof req.body.details === 'string' ? req.body.details.trim() : '';
+        if (!REPORT_REASONS.includes(reason)) {
+          return res.status(400).json({ error: `reason must be one of: ${REPORT_REASONS.join(', ')}` });
+        }
+        if (reason === 'other' && !details) {
+          return res.status(400).json({ error: 'details are required when reason is "other"' });
+        }
+        if (details.length > MAX_REPORT_DETAILS_LENGTH) {
+          return res.status(400).json({ error: `details can be at most ${MAX_REPORT_DETAILS_LENGTH} characters` });
+        }
 
-        let member = await membersCollection.findOne({ _id: new ObjectId(id) });
-
-        if (!member) {
-          member = await membersCollection.findOne({ _id: id });
+        const biodata = await membersCollection.findOne({ _id: new ObjectId(id) }, { projection: { email: 1, deletedAt: 1, isHidden: 1 } });
+        if (!isBiodataVisible(biodata)) {
+          return res.status(404).json({ error: 'Biodata not found' });
+        }
+        if (biodata.email?.toLowerCase() === email) {
+          return res.status(400).json({ error: 'You cannot report your own biodata' });
         }
 
-        if (!member) {
-          const existingDoc = await membersCollection.findOne({ _id: new ObjectId(id) }, { projection: {} });
-          if (existingDoc) {
-            console.log('Incomplete document found for _id:', id, existingDoc);
-            return res.status(404).json({ error: `Incomplete biodata found with _id: ${id}`, document: existingDoc });
+        const report = {
+          biodataId: biodata._id,
+          biodataEmail: biodata.email?.toLowerCase() || null,
+          reporterEmail: email,
+          reason,
+          details: details || null,
+          status: 'open',
+          resolution: null,
+          createdAt: new Date(),
+        };
+        try {
+          const result = await reportsCollection.insertOne(report);
+          res.status(201).json({ message: 'Report submitted. Our moderators will review it.', reportId: result.insertedId });
+        } catch (error) {
+          if (error.code === 11000) {
+            return res.status(409).json({ error: 'You already have an open report for this biodata' });
           }
-          return res.status(404).json({ error: `No biodata found with _id: ${id}` });
+          throw error;
         }
-
-        res.json(member);
       } catch (error) {
-        console.error(`Error fetching member with _id ${req.params.id}:`, error.message);
-        res.status(500).json({ error: 'Failed to fetch member', details: error.message });
+        console.error('Error reporting biodata:', error.message);
+        res.status(500).json({ error: 'Failed to report biodata', details: error.message });
       }
     });
 
-    app.get('/biodatas', async (req, res) => {
+    // Reports queue, oldest first, with the reported biodata and how many open reports it has
+    app.get('/admin/reports', authenticate, authorize(PERMISSIONS.REPORTS_MANAGE), async (req, res) => {
       try {
-        const emailQuery = req.query.email;
-        const email = emailQuery ? emailQuery.toLowerCase() : null;
-        let members;
-        if (email) {
-          members = await membersCollection.aggregate([
-            { $match: { email: { $regex: new RegExp(`^${email}$`, 'i') } } },
+        const status = req.query.status || 'open';
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const filter = { status };
+        if (req.query.reason) filter.reason = req.query.reason;
+        if (req.query.biodataId && ObjectId.isValid(req.query.biodataId)) filter.biodataId = new ObjectId(req.query.biodataId);
+
+        const [total, reports] = await Promise.all([
+          reportsCollection.countDocuments(filter),
+          reportsCollection.aggregate([
+            { $match: filter },
+            { $sort: { createdAt: 1 } },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
             {
               $lookup: {
-                from: 'users',
-                localField: 'email',
-                foreignField: 'email',
-                as: 'user'
-              }
-            },
-            { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
-            {
-              $addFields: {
-                isPremium: {
-                  $ifNull: [
-                    '$isPremium',
-                    { $ifNull: ['$user.isPremium', false] }
-                  ]
-                }
-              }
+                from: 'members',
+                localField: 'biodataId',
+                foreignField: '_id',
+                pipeline: [{ $project: { name: 1, email: 1, biodataType: 1, profileImage: 1, deletedAt: 1, isHidden: 1 } }],
+                as: 'biodata',
+              },
             },
-            { $project: { user: 0 } }
-          ]).toArray();
-        } else {
-          members = await membersCollection.aggregate([
+            { $unwind: { path: '$biodata', preserveNullAndEmptyArrays: true } },
             {
               $lookup: {
-                from: 'users',
-                localField: 'email',
-                foreignField: 'email',
-                as: 'user'
-              }
-            },
-            { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
-            {
-              $addFields: {
-                isPremium: {
-                  $ifNull: [
-                    '$isPremium',
-                    { $ifNull: ['$user.isPremium', false] }
-                  ]
-                }
-              }
+                from: 'reports',
+                let: { biodataId: '$biodataId' },
+                pipeline: [
+                  { $match: { $expr: { $and: [{ $eq: ['$biodataId', '$$biodataId'] }, { $eq: ['$status', 'open'] }] } } },
+                  { $count: 'count' },
+                ],
+                as: 'openReports',
+              },
             },
-            { $project: { user: 0 } }
-          ]).toArray();
-        }
-        res.json(members);
+            { $addFields: { openReportCount: { $ifNull: [{ $first: '$openReports.count' }, 0] } } },
+            { $project: { openReports: 0 } },
+          ]).toArray(),
+        ]);
+
+        res.json({ reports: exposePrivatePhotos(reports), total, page, limit, totalPages: Math.ceil(total / limit) });
       } catch (error) {
-        console.error('Error fetching members:', error.message);
-        res.status(500).json({ error: 'Failed to fetch members', details: error.message });
+        console.error('Error fetching reports:', error.message);
+        res.status(500).json({ error: 'Failed to fetch reports', details: error.message });
       }
     });
 
-    app.post('/biodatas', authenticate, upload.single('profileImage'), async (req, res) => {
+    // Close an open report. Resolving means action was taken (through the biodata routes);
+    // dismissing means the report did not hold up.
+    const closeReport = (status) => async (req, res) => {
       try {
-        const biodata = req.body;
-        const { email } = req.user;
-
-        if (!email) {
-          return res.status(400).json({ error: 'Email is required' });
-        }
-
-        const existingBiodata = await membersCollection.findOne({ 
-          email: { $regex: new RegExp(`^${email.toLowerCase()}$`, 'i') } 
-        });
-        if (existingBiodata) {
-          return res.status(400).json({ error: 'Biodata already exists for this user' });
+        const { id } = req.params;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({ error: 'Invalid _id format' });
         }
+        const note = typeof req.body?.note === 'string' ? req.body.note.trim() : '';
+        const resolution = { status, note: note || null, by: req.user.email, at: new Date() };
 
-        if (!req.file) {
-          return res.status(400).json({ error: 'Profile image is required' });
+        const report = await reportsCollection.findOneAndUpdate(
+          { _id: new ObjectId(id), status: 'open' },
+          { $set: { status, resolution } }
+        );
+        if (!report) {
+          const existing = await reportsCollection.findOne({ _id: new ObjectId(id) });
+          if (!existing) {
+            return res.status(404).json({ error: 'Report not found' });
+          }
+          return res.status(409).json({ error: `Report is already ${existing.status}` });
         }
 
-        const profileImageURL = await uploadImageToImgBB(req.file.buffer);
-
-        const userDoc = await usersCollection.findOne({ 
-          email: { $regex: new RegExp(`^${email}$`, 'i') } 
+        await recordAudit(req, {
+          action: status === 'resolved' ? 'report.resolve' : 'report.dismiss',
+          targetType: 'report',
+          targetId: report._id,
+          targetEmail: report.biodataEmail,
+          before: { status: report.status },
+          after: { status, note: resolution.note },
         });
-        const isPremium = userDoc?.isPremium || false;
 
-        const newBiodata = {
-          biodataType: biodata.biodataType || '',
-          name: biodata.name || '',
-          dob: biodata.dateOfBirth || '',
-          height: biodata.height || '',
-          weight: biodata.weight || '',
-          age: parseInt(biodata.age, 10) || 0,
-          occupation: biodata.occupation || '',
-          race: biodata.race || '',
-          fatherName: biodata.fatherName || '',
-          motherName: biodata.motherName || '',
-          permanentDivision: biodata.permanentDivision || '',
-          presentDivision: biodata.presentDivision || '',
-          partnerAge: biodata.expectedPartnerAge || '',
-          partnerHeight: biodata.expectedPartnerHeight || '',
-          partnerWeight: biodata.expectedPartnerWeight || '',
-          contactEmail: biodata.contactEmail || email.toLowerCase(),
-          mobileNumber: biodata.mobileNumber || '',
-          maritalStatus: biodata.maritalStatus || '',
-          profileImage: profileImageURL,
-          isPremium,
-          email: email.toLowerCase(),
-          createdAt: new Date(),
-          updatedAt: new Date(),
-        };
-
-        const result = await membersCollection.insertOne(newBiodata);
-        res.status(201).json({
-          message: 'Biodata created successfully',
-          result,
-          updatedBiodata: { _id: result.insertedId.toString(), ...newBiodata },
+        await notify(report.reporterEmail, {
+          type: `report.${status}`,
+          title: 'Your report was reviewed',
+          message: status === 'resolved'
+            ? 'Thank you. Our moderators reviewed your report and took action.'
+            : 'Our moderators reviewed your report and found no violation.',
+          data: { reportId: report._id, biodataId: report.biodataId },
         });
+
+        res.json({ message: `Report ${status} successfully`, resolution });
       } catch (error) {
-        console.error('Error creating biodata:', {
-          message: error.message,
-          stack: error.stack,
-        });
-        res.status(500).json({ error: 'Failed to create biodata', details: error.message });
+        console.error(`Error closing report (${status}):`, error.message);
+        res.status(500).json({ error: 'Failed to update report', details: error.message });
       }
-    });
+    };
 
-    app.patch('/biodatas/:id', authenticate, upload.single('profileImage'), async (req, res) => {
-      try {
-        const id = req.params.id;
-        console.log('Requested _id:', id);
+    app.patch('/admin/reports/:id/resolve', authenticate, authorize(PERMISSIONS.REPORTS_MANAGE), closeReport('resolved'));
+    app.patch('/admin/reports/:id/dismiss', authenticate, authorize(PERMISSIONS.REPORTS_MANAGE), closeReport('dismissed'));
 
-        const biodata = req.body;
+    // Block a member by their biodata, or by email (e.g. the requester of an incoming contact request)
+    app.post('/blocks', authenticate, async (req, res) => {
+      try {
         const { email } = req.user;
+        const { biodataId } = req.body;
+        let blockedEmail = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : null;
+        let blockedBiodataId = null;
 
-        if (!ObjectId.isValid(id)) {
-          return res.status(400).json({ error: 'Invalid _id format' });
+        if (biodataId) {
+          if (!ObjectId.isValid(biodataId)) {
+            return res.status(400).json({ error: 'Invalid biodata ID format' });
+          }
+          const biodata = await membersCollection.findOne({ _id: new ObjectId(biodataId) }, { projection: { email: 1 } });
+          if (!biodata?.email) {
+            return res.status(404).json({ error: 'Biodata not found' });
+          }
+          blockedEmail = biodata.email.toLowerCase();
+          blockedBiodataId = biodata._id;
         }
-
-        const query = { _id: new ObjectId(id) };
-        const existingBiodata = await membersCollection.findOne(query);
-        if (!existingBiodata) {
-          return res.status(404).json({ error: `No biodata found with _id: ${id}` });
+        if (!blockedEmail) {
+          return res.status(400).json({ error: 'biodataId or email is required' });
         }
-
-        const currentUserDoc = await usersCollection.findOne({ 
-          email: { $regex: new RegExp(`^${req.user.email}$`, 'i') } 
-        });
-        const isCurrentAdmin = currentUserDoc?.role === 'admin';
-
-        if (!isCurrentAdmin && existingBiodata.email.toLowerCase() !== req.user.email.toLowerCase()) {
-          return res.status(403).json({ error: 'Unauthorized: You can only update your own biodata' });
+        if (blockedEmail === email) {
+          return res.status(400).json({ error: 'You cannot block yourself' });
         }
 
-        let profileImageURL = existingBiodata.profileImage;
-        if (req.file) {
-          try {
-            profileImageURL = await uploadImageToImgBB(req.file.buffer);
-          } catch (imgError) {
-            console.warn('Image upload failed, proceeding with existing image:', imgError.message);
+        const block = {
+          blockerEmail: email,
+          blockedEmail,
+          blockedBiodataId,
+          // Only reveal the blocked email back to a blocker who supplied it
+          byEmail: !biodataId,
+          createdAt: new Date(),
+        };
+        try {
+          const result = await blocksCollection.insertOne(block);
+          res.status(201).json({ message: 'Member blocked', blockId: result.insertedId });
+        } catch (error) {
+          if (error.code === 11000) {
+            return res.status(409).json({ error: 'Member is already blocked' });
           }
+          throw error;
         }
+      } catch (error) {
+        console.error('Error blocking member:', error.message);
+        res.status(500).json({ error: 'Failed to block member', details: error.message });
+      }
+    });
 
-        let isPremium = existingBiodata.isPremium;
-        if (biodata.isPremium !== undefined) {
-          isPremium = biodata.isPremium;
-        } else {
-          const userDoc = await usersCollection.findOne({ 
-            email: { $regex: new RegExp(`^${email}$`, 'i') } 
-          });
-          isPremium = userDoc?.isPremium || false;
-        }
-
-        const updatedBiodata = {
-          biodataType: biodata.biodataType || existingBiodata.biodataType || '',
-          name: biodata.name || existingBiodata.name || '',
-          dob: biodata.dateOfBirth || existingBiodata.dob || '',
-          height: biodata.height || existingBiodata.height || '',
-          weight: biodata.weight || existingBiodata.weight || '',
-          age: parseInt(biodata.age, 10) || existingBiodata.age || 0,
-          occupation: biodata.occupation || existingBiodata.occupation || '',
-          race: biodata.race || existingBiodata.race || '',
-          fatherName: biodata.fatherName || existingBiodata.fatherName || '',
-          motherName: biodata.motherName || existingBiodata.motherName || '',
-          permanentDivision: biodata.permanentDivision || existingBiodata.permanentDivision || '',
-          presentDivision: biodata.presentDivision || existingBiodata.presentDivision || '',
-          partnerAge: biodata.expectedPartnerAge || existingBiodata.partnerAge || '',
-          partnerHeight: biodata.expectedPartnerHeight || existingBiodata.partnerHeight || '',
-          partnerWeight: biodata.expectedPartnerWeight || existingBiodata.partnerWeight || '',
-          contactEmail: biodata.contactEmail || existingBiodata.contactEmail || email.toLowerCase(),
-          mobileNumber: biodata.mobileNumber || existingBiodata.mobileNumber || '',
-          maritalStatus: biodata.maritalStatus || existingBiodata.maritalStatus || '',
-          profileImage: profileImageURL,
-          isPremium,
-          email: existingBiodata.email.toLowerCase(),
-          updatedAt: new Date(),
-          createdAt: existingBiodata.createdAt || new Date(),
-        };
+    // The caller's block list
+    app.get('/blocks', authenticate, async (req, res) => {
+      try {
+        const blocks = await blocksCollection.aggregate([
+          { $match: { blockerEmail: req.user.email } },
+          { $sort: { createdAt: -1 } },
+          {
+            $lookup: {
+              from: 'members',
+              localField: 'blockedBiodataId',
+              foreignField: '_id',
+              pipeline: [{ $project: { name: 1 } }],
+              as: 'biodata',
+            },
+          },
+        ]).toArray();
 
-        const result = await membersCollection.replaceOne(query, updatedBiodata);
+        res.json(blocks.map(({ blockedEmail, byEmail, biodata, ...block }) => ({
+          ...block,
+          blockedEmail: byEmail ? blockedEmail : null,
+          blockedName: biodata[0]?.name || null,
+        })));
+      } catch (error) {
+        console.error('Error fetching blocks:', error.message);
+        res.status(500).json({ error: 'Failed to fetch blocks', details: error.message });
+      }
+    });
 
-        if (result.matchedCount === 0) {
-          return res.status(404).json({ error: `No biodata found with _id: ${id}` });
+    app.delete('/blocks/:id', authenticate, async (req, res) => {
+      try {
+        const { id } = req.params;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({ error: 'Invalid _id format' });
         }
+        const result = await blocksCollection.deleteOne({ _id: new ObjectId(id), blockerEmail: req.user.email });
+        if (result.deletedCount === 0) {
+          return res.status(404).json({ error: 'Block not found' });
+        }
+        res.json({ message: 'Member unblocked' });
+      } catch (error) {
+        console.error('Error removing block:', error.message);
+        res.status(500).json({ error: 'Failed to unblock member', details: error.message });
+      }
+    });
 
-        await usersCollection.updateOne(
-          { email: { $regex: new RegExp(`^${email}$`, 'i') } },
-          { $set: { isPremium, updatedAt: new Date() } },
-          { upsert: true }
-        );
+    // Photos waiting for (or past) moderation, oldest first
+    app.get('/admin/photo-moderation', authenticate, authorize(PERMISSIONS.PHOTOS_MODERATE), async (req, res) => {
+      try {
+        const status = req.query.status || 'pending';
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+        const [result] = await membersCollection.aggregate([
+          { $match: { deletedAt: null, 'photos.moderation.status': status } },
+          { $unwind: '$photos' },
+          { $match: { 'photos.moderation.status': status } },
+          {
+            $project: {
+              _id: 0,
+              biodataId: '$_id',
+              name: 1,
+              email: 1,
+              isPrimary: { $eq: ['$photos._id', '$primaryPhotoId'] },
+              photo: '$photos',
+            },
+          },
+          { $sort: { 'photo.uploadedAt': 1 } },
+          {
+            $facet: {
+              items: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+              total: [{ $count: 'count' }],
+            },
+          },
+        ]).toArray();
 
-        res.json({
-          message: 'Biodata updated successfully',
-          result,
-          updatedBiodata,
-        });
+        const total = result.total[0]?.count || 0;
+        res.json({ photos: exposePrivatePhotos(result.items), total, page, limit, totalPages: Math.ceil(total / limit) });
       } catch (error) {
-        console.error('Error updating biodata:', {
-          message: error.message,
-          stack: error.stack,
-        });
-        res.status(500).json({ error: 'Failed to update biodata', details: error.message });
+        console.error('Error fetching photo moderation queue:', error.message);
+        res.status(500).json({ error: 'Failed to fetch photo moderation queue', details: error.message });
       }
     });
 
-    app.delete('/biodatas/:id', authenticate, authorizeAdmin, async (req, res) => {
+    // Approve or reject one photo; rejections need a reason the owner will see
+    const moderatePhoto = (decision) => async (req, res) => {
       try {
-        const id = req.params.id;
-        if (!ObjectId.isValid(id)) {
+        const { biodataId, photoId } = req.params;
+        if (!ObjectId.isValid(biodataId) || !ObjectId.isValid(photoId)) {
           return res.status(400).json({ error: 'Invalid _id format' });
         }
-        const result = await membersCollection.deleteOne({ _id: new ObjectId(id) });
-        if (result.deletedCount === 0) {
-          return res.status(404).json({ error: 'Biodata not found' });
+        const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+        if (decision === 'rejected' && !reason) {
+          return res.status(400).json({ error: 'A reason is required to reject a photo' });
+        }
+
+        const moderation = {
+          status: decision,
+          reason: reason || null,
+          reviewedBy: req.user.email,
+          reviewedAt: new Date(),
+        };
+        const photoObjectId = new ObjectId(photoId);
+        const update = { 'photos.$.moderation': moderation };
+        if (decision === 'rejected') {
+          // Rejected files are deleted from storage; the gallery keeps a placeholder in their place
+          Object.assign(update, { 'photos.$.url': PHOTO_PLACEHOLDER_URL, 'photos.$.variants': null, 'photos.$.storageKeys': null });
+        }
+        const biodata = await membersCollection.findOneAndUpdate(
+          { _id: new ObjectId(biodataId), photos: { $elemMatch: { _id: photoObjectId, 'moderation.status': { $ne: 'rejected' } } } },
+          { $set: update }
+        );
+        if (!biodata) {
+          const exists = await membersCollection.countDocuments({ _id: new ObjectId(biodataId), 'photos._id': photoObjectId });
+          return exists
+            ? res.status(409).json({ error: 'Photo was already rejected and its files deleted' })
+            : res.status(404).json({ error: 'Photo not found' });
+        }
+
+        const photo = biodata.photos.find((item) => item._id.equals(photoObjectId));
+        if (decision === 'rejected') {
+          await removePhotoFiles([photo]);
+          await membersCollection.updateOne(
+            { _id: biodata._id, primaryPhotoId: photoObjectId },
+            { $set: { profileImage: PHOTO_PLACEHOLDER_URL, profileImageVariants: null } }
+          );
         }
-        res.json({ message: 'Biodata deleted successfully' });
+        await recordAudit(req, {
+          action: decision === 'approved' ? 'photo.approve' : 'photo.reject',
+          targetType: 'photo',
+          targetId: photoId,
+          targetEmail: biodata.email,
+          before: { status: photo.moderation?.status || 'approved' },
+          after: { status: decision, reason: moderation.reason },
+        });
+
+        await notify(biodata.email, {
+          type: `photo.${decision}`,
+          title: decision === 'approved' ? 'Photo approved' : 'Photo rejected',
+          message: decision === 'approved'
+            ? 'Your photo has been approved and is now visible on your biodata.'
+            : `Your photo was rejected: ${moderation.reason}`,
+          data: { biodataId: biodata._id, photoId, reason: moderation.reason },
+        });
+
+        res.json({ message: `Photo ${decision} successfully`, moderation });
       } catch (error) {
-        console.error('Error deleting biodata:', error.message);
-        res.status(500).json({ error: 'Failed to delete biodata', details: error.message });
+        console.error(`Error moderating photo (${decision}):`, error.message);
+        res.status(500).json({ error: 'Failed to moderate photo', details: error.message });
       }
-    });
+    };
+
+    app.patch('/admin/photo-moderation/:biodataId/:photoId/approve', authenticate, authorize(PERMISSIONS.PHOTOS_MODERATE), moderatePhoto('approved'));
+    app.patch('/admin/photo-moderation/:biodataId/:photoId/reject', authenticate, authorize(PERMISSIONS.PHOTOS_MODERATE), moderatePhoto('rejected'));
 
     app.post('/favourites', authenticate, async (req, res) => {
       try {
         const { biodata_id } = req.body;
         const { email } = req.user;
 
-        if (!biodata_id || typeof biodata_id !== "string") {
+        if (!biodata_id || typeof biodata_id !== "string" || !ObjectId.isValid(biodata_id)) {
           return res.status(400).json({ error: 'Valid biodata_id (string) is required' });
         }
+        const { fields, errors } = validateFavouriteFields(req.body);
+        if (errors) {
+          return res.status(400).json({ error: 'Invalid favourite', details: errors });
+        }
 
-        const existingFavorite = await favouritesCollection.findOne({
-          userEmail: email,
-          biodata_id: biodata_id,
-        });
-
-        if (existingFavorite) {
-          return res.status(400).json({ error: 'Biodata already in favorites' });
+        const biodata = await membersCollection.findOne({ _id: new ObjectId(biodata_id) }, { projection: { deletedAt: 1, isHidden: 1 } });
+        if (!isBiodataVisible(biodata)) {
+          return res.status(404).json({ error: 'Biodata not found' });
         }
 
         const favourite = {
           userEmail: email,
-          biodata_id: biodata_id,
+          biodata_id: biodata._id,
+          notes: fields.notes ?? null,
+          tags: fields.tags ?? [],
           addedAt: new Date(),
         };
 
-        const result = await favouritesCollection.insertOne(favourite);
-        res.status(201).json({ message: 'Biodata added to favourites', result });
+        try {
+          const result = await favouritesCollection.insertOne(favourite);
+          res.status(201).json({ message: 'Biodata added to favourites', result, favourite });
+        } catch (error) {
+          if (error.code === 11000) {
+            return res.status(400).json({ error: 'Biodata already in favorites' });
+          }
+          throw error;
+        }
       } catch (error) {
         console.error('Error adding to favourites:', error.message);
         res.status(500).json({ error: 'Failed to add to favourites', details: error.message });
       }
     });
 
-    app.get('/favourites', async (req, res) => {
+    // The caller's own shortlist, with each favourite's biodata joined in
+    app.get('/favourites', authenticate, async (req, res) => {
       try {
-        const emailQuery = req.query.email;
-        const email = emailQuery ? emailQuery.toLowerCase() : null;
-        if (!email) {
-          return res.status(400).json({ error: 'Email is required' });
+        const sortParam = req.query.sort || '-addedAt';
+        const sortField = FAVOURITE_SORT_FIELDS[sortParam.replace(/^-/, '')];
+        if (!sortField) {
+          return res.status(400).json({ error: `sort must be one of: ${Object.keys(FAVOURITE_SORT_FIELDS).join(', ')}` });
         }
+        const sortDir = sortParam.startsWith('-') ? -1 : 1;
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
 
-        const favourites = await favouritesCollection.aggregate([
+        const match = { userEmail: req.user.email };
+        if (req.query.tag) match.tags = String(req.query.tag).trim().toLowerCase();
+
+        const [result] = await favouritesCollection.aggregate([
+          { $match: match },
           {
-            '$match': {
-              'userEmail': { $regex: new RegExp(`^${email}$`, 'i') }
-            }
-          }, {
-            '$lookup': {
-              'from': 'members',
-              'localField': 'biodata_id',
-              'foreignField': '_id',
-              'as': 'biodata'
+            $lookup: {
+              from: 'members',
+              localField: 'biodata_id',
+              foreignField: '_id',
+              as: 'biodata'
             }
-          }
+          },
+          { $unwind: { path: '$biodata', preserveNullAndEmptyArrays: true } },
+          { $sort: { [sortField]: sortDir, _id: sortDir } },
+          {
+            $facet: {
+              items: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+              total: [{ $count: 'count' }],
+            },
+          },
         ]).toArray();
 
-        res.json(favourites);
+        // Biodatas that were hidden or deleted since being shortlisted come back as null
+        const viewer = await getViewerContext(req.user);
+        const total = result.total[0]?.count || 0;
+        res.json({
+          favourites: result.items.map((favourite) => ({
+            ...favourite,
+            biodata: isBiodataVisible(favourite.biodata) ? presentBiodata(favourite.biodata, viewer) : null,
+          })),
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit),
+        });
       } catch (error) {
         console.error('Error fetching favourites:', error.message);
         res.status(500).json({ error: 'Failed to fetch favourites', details: error.message });
       }
     });
 
-    app.delete("/favourites/:id", authenticate, async (req, res) => {
-      const { id } = req.params;
-      const email = req.user.email;
+    // Update the private notes and tags on one of the caller's favourites
+    app.patch('/favourites/:id', authenticate, async (req, res) => {
+      try {
+        const { id } = req.params;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({ error: 'Invalid _id format' });
+        }
+        const { fields, errors } = validateFavouriteFields(req.body, { partial: true });
+        if (errors) {
+          return res.status(400).json({ error: 'Invalid favourite', details: errors });
+        }
+        if (Object.keys(fields).length === 0) {
+          return res.status(400).json({ error: 'Nothing to update; send notes and/or tags' });
+        }
 
-      const result = await favouritesCollection.deleteOne({
-        _id: new ObjectId(id),
-        userEmail: { $regex: new RegExp(`^${email}$`, 'i') },
-      });
+        const favourite = await favouritesCollection.findOneAndUpdate(
+          { _id: new ObjectId(id), userEmail: req.user.email },
+          { $set: { ...fields, updatedAt: new Date() } },
+          { returnDocument: 'after' }
+        );
+        if (!favourite) {
+          return res.status(404).json({ error: "Favorite not found" });
+        }
 
-      if (result.deletedCount === 0) {
-        return res.status(404).json({ error: "Favorite not found" });
+        res.json({ message: 'Favourite updated successfully', favourite });
+      } catch (error) {
+        console.error('Error updating favourite:', error.message);
+        res.status(500).json({ error: 'Failed to update favourite', details: error.message });
       }
+    });
+
+    app.delete("/favourites/:id", authenticate, async (req, res) => {
+      try {
+        const { id } = req.params;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({ error: 'Invalid _id format' });
+        }
+
+        const result = await favouritesCollection.deleteOne({
+          _id: new ObjectId(id),
+          userEmail: req.user.email,
+        });
+
+        if (result.deletedCount === 0) {
+          return res.status(404).json({ error: "Favorite not found" });
+        }
 
-      res.json({ message: "Favorite removed successfully" });
+        res.json({ message: "Favorite removed successfully" });
+      } catch (error) {
+        console.error('Error removing favourite:', error.message);
+        res.status(500).json({ error: 'Failed to remove favourite', details: error.message });
+      }
     });
 
     
 
-    await client.db('admin').command({ ping: 1 });
-    console.log('MongoDB connected successfully');
+    // Downgrade users whose plan has lapsed and close out their premium requests
+    async function expireLapsedPremiums() {
+      const now = new Date();
+      const lapsed = { isPremium: true, premiumUntil: { $ne: null, $lte: now } };
+      const lapsedUsers = await usersCollection.find(lapsed, { projection: { email: 1 } }).toArray();
+      const [users, members, requests] = await Promise.all([
+        usersCollection.updateMany(lapsed, { $set: { isPremium: false, updatedAt: now } }),
+        membersCollection.updateMany(lapsed, { $set: { isPremium: false, updatedAt: now } }),
+        premiumRequestsCollection.updateMany(
+          { status: 'approved', premiumUntil: { $ne: null, $lte: now } },
+          { $set: { status: 'expired', expiredAt: now } }
+        ),
+      ]);
+      for (const { email } of lapsedUsers) {
+        await syncUserClaimsByEmail(email);
+      }
+      if (users.modifiedCount || members.modifiedCount || requests.modifiedCount) {
+        console.log(`Expired premium: ${users.modifiedCount} users, ${members.modifiedCount} biodatas, ${requests.modifiedCount} requests`);
+      }
+    }
+
+    // Serverless instances keep no timers, so Vercel Cron calls this hourly (see vercel.json)
+    app.get('/cron/expire-premiums', authorizeCron, async (req, res) => {
+      try {
+        await expireLapsedPremiums();
+        res.json({ message: 'Lapsed premium memberships expired' });
+      } catch (error) {
+        console.error('Error expiring premium memberships:', error.message);
+        res.status(500).json({ error: 'Failed to expire premium memberships', details: error.message });
+      }
+    });
+
+    // Permanently remove biodatas soft-deleted longer than the retention period,
+    // along with favourites and contact requests pointing at them
+    async function purgeDeletedBiodatas() {
+      const cutoff = new Date(Date.now() - BIODATA_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+      const expired = await membersCollection.find({ deletedAt: { $ne: null, $lte: cutoff } }).toArray();
+
+      for (const biodata of expired) {
+        const idString = biodata._id.toString();
+        await favouritesCollection.deleteMany({ biodata_id: { $in: [idString, biodata._id] } });
+        await contactRequestsCollection.deleteMany({ requestedBiodataId: idString });
+        // Premium belongs to the biodata, so it goes with it
+        await usersCollection.updateOne(
+          { email: { $regex: new RegExp(`^${escapeRegex(biodata.email)}$`, 'i') } },
+          { $set: { isPremium: false, premiumUntil: null, updatedAt: new Date() } }
+        );
+        await syncUserClaimsByEmail(biodata.email);
+        await membersCollection.deleteOne({ _id: biodata._id });
+        await removePhotoFiles(biodata.photos || [{ variants: biodata.profileImageVariants }]);
+      }
+      if (expired.length > 0) {
+        console.log(`Purged ${expired.length} deleted biodatas`);
+      }
+    }
+
+    // Called by Vercel Cron every six hours (see vercel.json)
+    app.get('/cron/purge-deleted-biodatas', authorizeCron, async (req, res) => {
+      try {
+        await purgeDeletedBiodatas();
+        res.json({ message: 'Deleted biodatas purged' });
+      } catch (error) {
+        console.error('Error purging deleted biodatas:', error.message);
+        res.status(500).json({ error: 'Failed to purge deleted biodatas', details: error.message });
+      }
+    });
+
+    if (!database) {
+      await client.db('admin').command({ ping: 1 });
+      console.log('MongoDB connected successfully');
+    }
   } catch (error) {
     console.error('MongoDB connection error:', error.message);
     process.exit(1);
   }
 }
 
-run().catch((error) => {
-  console.error('Failed to start server:', error.message);
-  process.exit(1);
+// Under NODE_ENV=test the tests call run() and drive the app through supertest
+if (process.env.NODE_ENV !== 'test') {
+  run().catch((error) => {
+    console.error('Failed to start server:', error.message);
+    process.exit(1);
+  });
+}
+
+// Neutral placeholder for photos the viewer may not see yet
+app.get('/photos/placeholder.svg', (req, res) => {
+  res.type('image/svg+xml').set('Cache-Control', 'public, max-age=86400').send(
+    '<svg xmlns="http://www.w3.org/2000/svg" width="400" height="400" viewBox="0 0 400 400">'
+    + '<rect width="400" height="400" fill="#e5e7eb"/>'
+    + '<circle cx="200" cy="160" r="70" fill="#9ca3af"/>'
+    + '<path d="M80 360c0-70 54-120 120-120s120 50 120 120z" fill="#9ca3af"/>'
+    + '</svg>'
+  );
+});
+
+// Private photo files, reachable only through URLs from exposePrivatePhotos
+app.get('/photos/private', async (req, res) => {
+  if (!imageStorage.supportsPrivate || !photoUrlSigner.verify(req.query)) {
+    return res.status(403).json({ error: 'Invalid or expired photo link' });
+  }
+  try {
+    const { body, contentType } = await imageStorage.read(req.query.key);
+    const maxAge = Math.max(Math.floor((Number(req.query.expires) - Date.now()) / 1000), 0);
+    res.set({ 'Content-Type': contentType, 'Cache-Control': `private, max-age=${maxAge}` });
+    if (Buffer.isBuffer(body)) {
+      res.send(body);
+    } else {
+      body.pipe(res);
+    }
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.name === 'NoSuchKey') {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+    console.error('Error serving private photo:', error.message);
+    res.status(500).json({ error: 'Failed to load photo', details: error.message });
+  }
 });
 
 app.get('/', (req, res) => {
   res.send('Love Matrimony server is running...');
 });
 
-app.listen(port, () => {
-  console.log(`Server running on port ${port}`);
-});
\ No newline at end of file
+if (process.env.NODE_ENV !== 'test') {
+  app.listen(port, () => {
+    console.log(`Server running on port ${port}`);
+  });
+}
+
+// Vercel's Node builder takes the app itself as the handler
+module.exports = app;
+module.exports.run = run;
\ No newline at end of file
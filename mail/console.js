@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+
+// "jane@example.com" -> "j***@example.com"
+const maskAddress = (address) => String(address).replace(/^(.)[^@]*@/, '$1***@');
+
+// Logs that a message would have been sent, without its body or the full recipient address:
+// the default outside production, where mail is not actually delivered
+const createConsoleTransport = () => ({
+  name: 'console',
+  async send(message) {
+    console.log(`📧 Email to ${maskAddress(message.to)}: ${message.subject}`);
+    return { messageId: `<${crypto.randomUUID()}@console>` };
+  },
+});
+
+module.exports = { createConsoleTransport, maskAddress };
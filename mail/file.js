@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { maskAddress } = require('./console');
+
+// Writes each message as an .eml file under `directory`, for opening in a mail client locally
+const createFileTransport = ({ directory }) => {
+  const root = path.resolve(directory);
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    name: 'file',
+    directory: root,
+    async send(message) {
+      const { message: raw, messageId } = await transporter.sendMail(message);
+      const filePath = path.join(root, `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomUUID()}.eml`);
+      await fs.mkdir(root, { recursive: true });
+      await fs.writeFile(filePath, raw);
+      console.log(`📧 Email to ${maskAddress(message.to)} written to ${filePath}`);
+      return { messageId };
+    },
+  };
+};
+
+module.exports = { createFileTransport };
@@ -0,0 +1,49 @@
+const { createConsoleTransport, maskAddress } = require('./console');
+const { createFileTransport } = require('./file');
+const { createSmtpTransport } = require('./smtp');
+const { EMAIL_CATEGORIES, MAIL_TEMPLATES } = require('./templates');
+
+// Pick the mail transport from MAIL_TRANSPORT (console, file or smtp). Outside production it
+// defaults to console; production must choose one so mail is never silently dropped.
+const createMailTransport = (env) => {
+  if (!env.MAIL_TRANSPORT && env.NODE_ENV === 'production') {
+    throw new Error('MAIL_TRANSPORT must be set in production (expected console, file or smtp)');
+  }
+  const driver = (env.MAIL_TRANSPORT || 'console').toLowerCase();
+  switch (driver) {
+    case 'console':
+      return createConsoleTransport();
+    case 'file':
+      return createFileTransport({ directory: env.MAIL_FILE_DIR || 'mail-outbox' });
+    case 'smtp':
+      return createSmtpTransport({
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT, 10) || undefined,
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS,
+      });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${driver}" (expected console, file or smtp)`);
+  }
+};
+
+/**
+ * Render a MAIL_TEMPLATES entry. Resolves to `{ category, subject, text, html }`;
+ * `appUrl` is the client app that links in the email point to.
+ */
+const renderEmail = (template, data, { appUrl }) => {
+  const entry = MAIL_TEMPLATES[template];
+  if (!entry) {
+    throw new Error(`Unknown email template "${template}"`);
+  }
+  return { category: entry.category, ...entry.render(data, { appUrl: appUrl.replace(/\/$/, '') }) };
+};
+
+module.exports = {
+  EMAIL_CATEGORIES,
+  MAIL_TEMPLATES,
+  createMailTransport,
+  maskAddress,
+  renderEmail,
+};
@@ -0,0 +1,24 @@
+const nodemailer = require('nodemailer');
+
+// Any SMTP relay (Mailgun, SES, Postmark, a local Mailpit, ...)
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  if (!host) {
+    throw new Error('SMTP_HOST is required when MAIL_TRANSPORT=smtp');
+  }
+  const transporter = nodemailer.createTransport({
+    host,
+    port: port || (secure ? 465 : 587),
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+module.exports = { createSmtpTransport };
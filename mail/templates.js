@@ -0,0 +1,92 @@
+// Transactional email templates. Each renders `{ subject, text, html }` from its data;
+// `category` is the preference key a user can switch off (see EMAIL_CATEGORIES).
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Shared HTML frame: a greeting, paragraphs and an optional call-to-action button
+const layout = ({ name, paragraphs, action }) => `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f4f4f5;font-family:Arial,Helvetica,sans-serif;color:#18181b;">
+    <table role="presentation" width="100%" style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px;">
+      <tr><td>
+        <p>Assalamu alaikum${name ? ` ${escapeHtml(name)}` : ''},</p>
+        ${paragraphs.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`).join('\n        ')}
+        ${action ? `<p><a href="${escapeHtml(action.url)}" style="display:inline-block;padding:10px 18px;background:#be185d;color:#ffffff;text-decoration:none;border-radius:6px;">${escapeHtml(action.label)}</a></p>` : ''}
+        <p style="color:#71717a;font-size:12px;">You can change which emails you receive in your account settings.</p>
+      </td></tr>
+    </table>
+  </body>
+</html>`;
+
+const plainText = ({ name, paragraphs, action }) => [
+  `Assalamu alaikum${name ? ` ${name}` : ''},`,
+  ...paragraphs,
+  ...(action ? [`${action.label}: ${action.url}`] : []),
+  'You can change which emails you receive in your account settings.',
+].join('\n\n');
+
+const render = (subject, content) => ({ subject, text: plainText(content), html: layout(content) });
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const MAIL_TEMPLATES = {
+  premiumApproved: {
+    category: 'premium',
+    render: ({ name, premiumUntil, planName }, { appUrl }) => render('Your premium membership is active', {
+      name,
+      paragraphs: [
+        `Your premium request${planName ? ` for the ${planName} plan` : ''} has been approved.`,
+        premiumUntil
+          ? `Premium features are available until ${formatDate(premiumUntil)}.`
+          : 'Premium features are now available on your account.',
+      ],
+      action: { label: 'Browse biodatas', url: `${appUrl}/biodatas` },
+    }),
+  },
+  contactRequestApproved: {
+    category: 'contactRequests',
+    render: ({ name, biodataName, biodataId }, { appUrl }) => render('Your contact request was approved', {
+      name,
+      paragraphs: [
+        `Your request for the contact details of ${biodataName || 'a biodata'} has been approved.`,
+        'You can now see their contact information and send them a message.',
+      ],
+      action: { label: 'View biodata', url: `${appUrl}/biodatas/${biodataId}` },
+    }),
+  },
+  contactRequestRejected: {
+    category: 'contactRequests',
+    render: ({ name, biodataName }, { appUrl }) => render('Update on your contact request', {
+      name,
+      paragraphs: [
+        `Your request for the contact details of ${biodataName || 'a biodata'} was not approved.`,
+        'There are many more biodatas waiting for you.',
+      ],
+      action: { label: 'Find matches', url: `${appUrl}/matches` },
+    }),
+  },
+  biodataCreated: {
+    category: 'biodata',
+    render: ({ name, biodataId }, { appUrl }) => render('Your biodata has been published', {
+      name,
+      paragraphs: [
+        'Your biodata has been created and is now visible to other members.',
+        'Photos you uploaded will appear once they have been reviewed.',
+      ],
+      action: { label: 'View your biodata', url: `${appUrl}/biodatas/${biodataId}` },
+    }),
+  },
+};
+
+// Email preference keys, all on by default
+const EMAIL_CATEGORIES = [...new Set(Object.values(MAIL_TEMPLATES).map(({ category }) => category))];
+
+module.exports = {
+  EMAIL_CATEGORIES,
+  MAIL_TEMPLATES,
+};
@@ -0,0 +1,89 @@
+// Partner-preference scoring for GET /matches/me
+
+const { currentAge, parsePartnerRange } = require('./biodataSchema');
+
+// Each criterion compares one side's own value with the other side's preferred range.
+// Inside the range scores 1; outside it falls off linearly to 0 at `tolerance` units away.
+const MATCH_CRITERIA = [
+  { name: 'age', preference: 'partnerAge', tolerance: 5, valueOf: currentAge },
+  { name: 'height', preference: 'partnerHeight', tolerance: 10, feetInches: true, valueOf: (b) => b.height },
+  { name: 'weight', preference: 'partnerWeight', tolerance: 10, valueOf: (b) => b.weight },
+];
+
+// How much each part counts toward the total; parts with nothing to score are left out
+const MATCH_WEIGHTS = { preferences: 0.6, mutual: 0.3, division: 0.1 };
+
+// Fields scoreMatch reads, for use as a query projection
+const MATCH_FIELDS = ['email', 'biodataType', 'dob', 'age', 'height', 'weight', 'permanentDivision', 'presentDivision',
+  ...MATCH_CRITERIA.map(({ preference }) => preference)];
+
+const round = (score) => Math.round(score * 100) / 100;
+
+const scoreAgainstRange = (value, range, tolerance) => {
+  const number = Number(value);
+  // A stated preference the other side gives no data for cannot be met
+  if (value === null || value === undefined || value === '' || !Number.isFinite(number)) return 0;
+  const below = range.min !== null ? range.min - number : 0;
+  const above = range.max !== null ? number - range.max : 0;
+  const distance = Math.max(below, above, 0);
+  return Math.max(0, 1 - distance / tolerance);
+};
+
+// How well `candidate` fits the preferences stated by `seeker`
+const scorePreferences = (seeker, candidate) => {
+  const criteria = {};
+  MATCH_CRITERIA.forEach(({ name, preference, tolerance, feetInches, valueOf }) => {
+    const preferred = parsePartnerRange(seeker[preference], { feetInches });
+    const actual = valueOf(candidate) ?? null;
+    criteria[name] = {
+      preferred,
+      actual,
+      score: preferred ? round(scoreAgainstRange(actual, preferred, tolerance)) : null,
+    };
+  });
+  const scores = Object.values(criteria).map(({ score }) => score).filter((score) => score !== null);
+  const score = scores.length > 0 ? round(scores.reduce((sum, s) => sum + s, 0) / scores.length) : null;
+  return { score, criteria };
+};
+
+const scoreDivision = (seeker, candidate) => {
+  const divisions = (b) => [b.permanentDivision, b.presentDivision].filter(Boolean);
+  const theirs = divisions(candidate);
+  if (divisions(seeker).length === 0 || theirs.length === 0) return { score: null, shared: [] };
+  const shared = [...new Set(divisions(seeker).filter((division) => theirs.includes(division)))];
+  return { score: shared.length > 0 ? 1 : 0, shared };
+};
+
+/**
+ * Score `candidate` for `seeker` on a 0-100 scale.
+ *
+ * `preferences` is how well the candidate fits the seeker's partner preferences, `mutual`
+ * how well the seeker fits the candidate's, and `division` whether they share a division.
+ */
+const scoreMatch = (seeker, candidate) => {
+  const breakdown = {
+    preferences: scorePreferences(seeker, candidate),
+    mutual: scorePreferences(candidate, seeker),
+    division: scoreDivision(seeker, candidate),
+  };
+
+  let weighted = 0;
+  let totalWeight = 0;
+  Object.entries(MATCH_WEIGHTS).forEach(([part, weight]) => {
+    if (breakdown[part].score === null) return;
+    weighted += breakdown[part].score * weight;
+    totalWeight += weight;
+  });
+
+  return {
+    score: totalWeight > 0 ? Math.round((weighted / totalWeight) * 100) : 0,
+    breakdown,
+  };
+};
+
+module.exports = {
+  MATCH_CRITERIA,
+  MATCH_FIELDS,
+  MATCH_WEIGHTS,
+  scoreMatch,
+};
@@ -0,0 +1,95 @@
+// Live notification delivery over Server-Sent Events.
+//
+// The notifications collection is the broker: every stream polls it for documents newer than
+// the last one it sent, so a notification stored by any instance reaches streams held by any
+// other. Serverless functions cannot hold a response open indefinitely (Vercel ends them at the
+// function's max duration), so a stream ends itself after `maxDurationMs` with a `reconnect`
+// event and the client reopens it with Last-Event-ID. Where streaming is not available at all,
+// clients poll GET /notifications?after=<last seen id> instead.
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const POLL_INTERVAL_MS = 3 * 1000;
+const MAX_STREAM_DURATION_MS = 5 * 60 * 1000;
+
+const writeEvent = (res, { id, event, data }) => {
+  if (id) res.write(`id: ${id}\n`);
+  if (event) res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Turn `res` into an event stream of notifications. `fetchAfter(lastId)` returns the
+ * notifications after `lastId` (all of them when null) in ascending `_id` order; it is called
+ * once per `pollIntervalMs`. The stream ends when the client disconnects, after
+ * `maxDurationMs`, or when `close()` is called.
+ */
+const openNotificationStream = (req, res, {
+  fetchAfter,
+  lastId = null,
+  pollIntervalMs = POLL_INTERVAL_MS,
+  heartbeatIntervalMs = HEARTBEAT_INTERVAL_MS,
+  maxDurationMs = MAX_STREAM_DURATION_MS,
+}) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write('retry: 5000\n\n');
+
+  let cursor = lastId;
+  let closed = false;
+  let polling = false;
+
+  const poll = async () => {
+    if (closed || polling) return;
+    polling = true;
+    try {
+      const notifications = await fetchAfter(cursor);
+      notifications.forEach((notification) => {
+        if (closed) return;
+        cursor = notification._id;
+        writeEvent(res, { id: notification._id.toString(), event: 'notification', data: notification });
+      });
+    } catch (error) {
+      console.error('Error polling notifications:', error.message);
+    } finally {
+      polling = false;
+    }
+  };
+
+  const poller = setInterval(poll, pollIntervalMs);
+  // Comment lines keep proxies from timing out idle connections
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatIntervalMs);
+  const deadline = setTimeout(() => {
+    writeEvent(res, { event: 'reconnect', data: {} });
+    close();
+  }, maxDurationMs);
+  [poller, heartbeat, deadline].forEach((timer) => timer.unref());
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    clearInterval(poller);
+    clearInterval(heartbeat);
+    clearTimeout(deadline);
+    if (!res.writableEnded) res.end();
+  }
+  req.on('close', close);
+
+  return {
+    send: (message) => {
+      if (!closed) writeEvent(res, message);
+    },
+    poll,
+    close,
+  };
+};
+
+module.exports = {
+  HEARTBEAT_INTERVAL_MS,
+  MAX_STREAM_DURATION_MS,
+  POLL_INTERVAL_MS,
+  openNotificationStream,
+};
@@ -0,0 +1,62 @@
+// Role-based permissions shared by every route in index.js
+
+const ROLES = ['user', 'support', 'moderator', 'admin'];
+
+const PERMISSIONS = {
+  USERS_READ: 'users:read',
+  USERS_CREATE: 'users:create',
+  USERS_MANAGE_ROLES: 'users:manageRoles',
+  USERS_MANAGE_PREMIUM: 'users:managePremium',
+  BIODATAS_EDIT_ANY: 'biodatas:editAny',
+  BIODATAS_DELETE: 'biodatas:delete',
+  BIODATAS_VIEW_CONTACT: 'biodatas:viewContact',
+  PHOTOS_MODERATE: 'photos:moderate',
+  CONTACT_REQUESTS_READ: 'contactRequests:read',
+  CONTACT_REQUESTS_MODERATE: 'contactRequests:moderate',
+  MESSAGES_READ: 'messages:read',
+  REPORTS_MANAGE: 'reports:manage',
+  PREMIUM_REQUESTS_READ: 'premiumRequests:read',
+  PREMIUM_REQUESTS_MANAGE: 'premiumRequests:manage',
+  PAYMENTS_READ: 'payments:read',
+  PLANS_MANAGE: 'plans:manage',
+  AUDIT_LOG_READ: 'auditLog:read',
+};
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  // Read-only help desk access for answering member questions
+  support: [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.BIODATAS_VIEW_CONTACT,
+    PERMISSIONS.CONTACT_REQUESTS_READ,
+    PERMISSIONS.PREMIUM_REQUESTS_READ,
+    PERMISSIONS.PAYMENTS_READ,
+  ],
+  // Content moderation, without access to payments or roles
+  moderator: [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.BIODATAS_EDIT_ANY,
+    PERMISSIONS.BIODATAS_VIEW_CONTACT,
+    PERMISSIONS.PHOTOS_MODERATE,
+    PERMISSIONS.CONTACT_REQUESTS_READ,
+    PERMISSIONS.CONTACT_REQUESTS_MODERATE,
+    PERMISSIONS.REPORTS_MANAGE,
+  ],
+  admin: Object.values(PERMISSIONS),
+};
+
+const isValidRole = (role) => ROLES.includes(role);
+
+// Unknown or missing roles get no permissions
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => getPermissions(role).includes(permission);
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  isValidRole,
+  getPermissions,
+  hasPermission,
+};
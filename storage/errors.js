@@ -0,0 +1,4 @@
+// Error carrying the HTTP status an image upload failure should be reported with
+const imageError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+module.exports = { imageError };
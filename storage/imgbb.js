@@ -0,0 +1,55 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const { imageError } = require('./errors');
+
+const uploadName = (key) => key.replace(/[/.]/g, '-');
+
+// ImgBB picks its own URLs, so the key is only used as the upload name.
+// It has no private uploads: every file is public at an unguessable URL. Its API cannot
+// delete uploads either, so removed images stay until deleted from the ImgBB account.
+const createImgBBStorage = ({ apiKey }) => {
+  if (!apiKey) {
+    throw new Error('IMGBB_KEY is required when IMAGE_STORAGE=imgbb');
+  }
+
+  return {
+    name: 'imgbb',
+    supportsPrivate: false,
+    async put(key, buffer, contentType) {
+      const formData = new FormData();
+      formData.append('key', apiKey);
+      formData.append('name', uploadName(key));
+      formData.append('image', buffer, {
+        filename: key.split('/').pop(),
+        contentType,
+      });
+
+      try {
+        const response = await axios.post(
+          'https://api.imgbb.com/1/upload',
+          formData,
+          {
+            headers: formData.getHeaders(),
+            timeout: 30000,
+          }
+        );
+        return response.data.data.url;
+      } catch (err) {
+        console.error("❌ ImgBB upload failed:", {
+          message: err.message,
+          response: err.response?.data,
+          status: err.response?.status,
+        });
+        throw imageError(
+          `Failed to upload image to ImgBB: ${err.response?.data?.error?.message || err.message}`,
+          502
+        );
+      }
+    },
+    async remove(key) {
+      console.warn(`ImgBB cannot delete uploads through its API; remove "${uploadName(key)}" from the ImgBB account`);
+    },
+  };
+};
+
+module.exports = { createImgBBStorage };
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { imageError } = require('./errors');
+const { createImgBBStorage } = require('./imgbb');
+const { createLocalStorage } = require('./local');
+const { createS3Storage } = require('./s3');
+
+// Widths generated for every uploaded image, each as JPEG and WebP
+const IMAGE_SIZES = {
+  thumbnail: 200,
+  medium: 600,
+  full: 1024,
+};
+
+const BLURRED_WIDTH = 400;
+const BLUR_SIGMA = 25;
+
+// Stored in place of a URL for files only reachable through a signed URL
+const PRIVATE_REF_PREFIX = 'private:';
+const isPrivateRef = (value) => typeof value === 'string' && value.startsWith(PRIVATE_REF_PREFIX);
+
+// Pick the storage driver from IMAGE_STORAGE (imgbb, local or s3)
+const createImageStorage = (env, { port } = {}) => {
+  const driver = (env.IMAGE_STORAGE || 'imgbb').toLowerCase();
+  switch (driver) {
+    case 'imgbb':
+      return createImgBBStorage({ apiKey: env.IMGBB_KEY });
+    case 'local':
+      return createLocalStorage({
+        directory: env.LOCAL_UPLOAD_DIR || 'uploads',
+        privateDirectory: env.LOCAL_PRIVATE_UPLOAD_DIR || 'uploads-private',
+        publicBaseUrl: env.PUBLIC_BASE_URL || `http://localhost:${port || 3000}`,
+      });
+    case 's3':
+      return createS3Storage({
+        bucket: env.S3_BUCKET,
+        region: env.S3_REGION,
+        endpoint: env.S3_ENDPOINT,
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        publicUrl: env.S3_PUBLIC_URL,
+        forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+      });
+    default:
+      throw new Error(`Unknown IMAGE_STORAGE driver "${driver}" (expected imgbb, local or s3)`);
+  }
+};
+
+// Check the upload is a JPEG or PNG before doing any work on it
+const validateImage = async (imageBuffer) => {
+  if (!imageBuffer || imageBuffer.length === 0) {
+    throw imageError("No image data provided", 400);
+  }
+  try {
+    const imageInfo = await sharp(imageBuffer).metadata();
+    if (!['jpeg', 'png'].includes(imageInfo.format)) {
+      throw new Error('Only JPEG and PNG images are supported');
+    }
+  } catch (err) {
+    console.error("❌ Image validation failed:", err.message);
+    throw imageError("Invalid image format: only JPEG and PNG images are supported", 400);
+  }
+};
+
+/**
+ * Resize an image into every IMAGE_SIZES width as JPEG and WebP and store them all.
+ * Resolves to `{ url, variants, storageKeys }`, where `url` is the full-size JPEG, `variants`
+ * maps each size name, plus `blurred`, to `{ jpeg, webp }`, and `storageKeys` lists every
+ * stored file as `{ key, access }` for removeImageVariants.
+ *
+ * Every file gets its own random key, so one URL never reveals another. On drivers that
+ * support it the unblurred sizes are private and stored as `private:<key>` references,
+ * which must go through a signed URL (see createPhotoUrlSigner) before reaching a client.
+ */
+const storeImageVariants = async (storage, imageBuffer, { prefix = 'biodatas' } = {}) => {
+  await validateImage(imageBuffer);
+
+  const storageKeys = [];
+  const store = async (buffer, extension, contentType, access) => {
+    const key = `${prefix}/${crypto.randomUUID()}.${extension}`;
+    if (access === 'private' && storage.supportsPrivate) {
+      storageKeys.push({ key, access });
+      await storage.put(key, buffer, contentType, { access });
+      return `${PRIVATE_REF_PREFIX}${key}`;
+    }
+    storageKeys.push({ key, access: 'public' });
+    return storage.put(key, buffer, contentType);
+  };
+  const variants = {};
+
+  for (const [size, width] of Object.entries(IMAGE_SIZES)) {
+    let jpeg;
+    let webp;
+    try {
+      const resized = sharp(imageBuffer).rotate().resize({ width, withoutEnlargement: true });
+      [jpeg, webp] = await Promise.all([
+        resized.clone().jpeg({ quality: 80 }).toBuffer(),
+        resized.clone().webp({ quality: 75 }).toBuffer(),
+      ]);
+    } catch (err) {
+      console.error("❌ Compression failed:", err.message);
+      throw imageError("Failed to compress image", 400);
+    }
+
+    const [jpegUrl, webpUrl] = await Promise.all([
+      store(jpeg, 'jpg', 'image/jpeg', 'private'),
+      store(webp, 'webp', 'image/webp', 'private'),
+    ]);
+    variants[size] = { jpeg: jpegUrl, webp: webpUrl };
+  }
+
+  // Blurred copy shown to viewers who may not see the photo itself
+  let blurredJpeg;
+  let blurredWebp;
+  try {
+    const blurred = sharp(imageBuffer).rotate().resize({ width: BLURRED_WIDTH, withoutEnlargement: true }).blur(BLUR_SIGMA);
+    [blurredJpeg, blurredWebp] = await Promise.all([
+      blurred.clone().jpeg({ quality: 60 }).toBuffer(),
+      blurred.clone().webp({ quality: 50 }).toBuffer(),
+    ]);
+  } catch (err) {
+    console.error("❌ Blurring failed:", err.message);
+    throw imageError("Failed to process image", 400);
+  }
+  const [blurredJpegUrl, blurredWebpUrl] = await Promise.all([
+    store(blurredJpeg, 'jpg', 'image/jpeg', 'public'),
+    store(blurredWebp, 'webp', 'image/webp', 'public'),
+  ]);
+  variants.blurred = { jpeg: blurredJpegUrl, webp: blurredWebpUrl };
+
+  console.log(`🎉 Image stored via ${storage.name}`);
+  return { url: variants.full.jpeg, variants, storageKeys };
+};
+
+/**
+ * Delete every file stored for one image, given what storeImageVariants returned or the photo
+ * it was saved on. Photos stored before `storageKeys` existed only lose their private files,
+ * the only ones whose key can be recovered. Failures are logged rather than thrown, so storage
+ * trouble never fails the delete that triggered the cleanup.
+ */
+const removeImageVariants = async (storage, { storageKeys, variants } = {}) => {
+  const files = storageKeys || Object.values(variants || {})
+    .flatMap((formats) => Object.values(formats || {}))
+    .filter(isPrivateRef)
+    .map((ref) => ({ key: ref.slice(PRIVATE_REF_PREFIX.length), access: 'private' }));
+
+  const results = await Promise.allSettled(files.map(({ key, access }) => storage.remove(key, { access })));
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      console.error(`❌ Failed to remove stored image ${files[index].key}:`, result.reason?.message);
+    }
+  });
+};
+
+const signature = (secret, key, expires) =>
+  crypto.createHmac('sha256', secret).update(`${key}:${expires}`).digest('base64url');
+
+/**
+ * Short-lived URLs for private files, served by the route at `path`. Expiry is rounded up
+ * to `ttlSeconds` boundaries so repeated reads hand out the same, cacheable URL.
+ */
+const createPhotoUrlSigner = ({ secret, baseUrl, path = '/photos/private', ttlSeconds = 15 * 60 }) => ({
+  path,
+  ttlSeconds,
+  sign(ref) {
+    const key = ref.slice(PRIVATE_REF_PREFIX.length);
+    const window = ttlSeconds * 1000;
+    const expires = Math.ceil((Date.now() + window) / window) * window;
+    const query = new URLSearchParams({ key, expires: String(expires), sig: signature(secret, key, expires) });
+    return `${baseUrl.replace(/\/$/, '')}${path}?${query}`;
+  },
+  verify({ key, expires, sig }) {
+    if (typeof key !== 'string' || typeof sig !== 'string' || !/^\d+$/.test(String(expires))) return false;
+    if (Number(expires) < Date.now()) return false;
+    const expected = Buffer.from(signature(secret, key, expires));
+    const given = Buffer.from(sig);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  },
+});
+
+module.exports = {
+  IMAGE_SIZES,
+  PRIVATE_REF_PREFIX,
+  createImageStorage,
+  createPhotoUrlSigner,
+  isPrivateRef,
+  imageError,
+  removeImageVariants,
+  storeImageVariants,
+};
@@ -0,0 +1,53 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { imageError } = require('./errors');
+
+const CONTENT_TYPES = { '.jpg': 'image/jpeg', '.webp': 'image/webp', '.png': 'image/png' };
+
+// Public files under `directory`, served by the Express static route mounted at `publicPath`.
+// Private files go to `privateDirectory`, which is never served statically.
+const createLocalStorage = ({ directory, privateDirectory, publicBaseUrl, publicPath = '/uploads' }) => {
+  const root = path.resolve(directory);
+  const privateRoot = path.resolve(privateDirectory);
+
+  const resolve = (base, key) => {
+    const filePath = path.join(base, key);
+    if (!filePath.startsWith(base + path.sep)) {
+      throw imageError('Invalid storage key', 400);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    directory: root,
+    publicPath,
+    supportsPrivate: true,
+    // Resolves to the public URL, or null for private files (see read)
+    async put(key, buffer, contentType, { access = 'public' } = {}) {
+      const filePath = resolve(access === 'private' ? privateRoot : root, key);
+      try {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, buffer);
+      } catch (err) {
+        console.error('❌ Local image write failed:', err.message);
+        throw imageError(`Failed to store image: ${err.message}`, 500);
+      }
+      return access === 'private' ? null : `${publicBaseUrl.replace(/\/$/, '')}${publicPath}/${key}`;
+    },
+    async read(key) {
+      const body = await fs.readFile(resolve(privateRoot, key));
+      return { body, contentType: CONTENT_TYPES[path.extname(key)] || 'application/octet-stream' };
+    },
+    // Removing a file that is already gone is not an error
+    async remove(key, { access = 'public' } = {}) {
+      try {
+        await fs.unlink(resolve(access === 'private' ? privateRoot : root, key));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    },
+  };
+};
+
+module.exports = { createLocalStorage };
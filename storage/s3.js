@@ -0,0 +1,52 @@
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { imageError } = require('./errors');
+
+// Any S3-compatible service (AWS, MinIO, Cloudflare R2, DigitalOcean Spaces...).
+// Private files are written under `private/`; the bucket policy must not allow public reads there.
+const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, publicUrl, forcePathStyle }) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required when IMAGE_STORAGE=s3');
+  }
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    ...(endpoint && { endpoint }),
+    ...(accessKeyId && secretAccessKey && { credentials: { accessKeyId, secretAccessKey } }),
+    forcePathStyle: Boolean(forcePathStyle),
+  });
+
+  const baseUrl = (publicUrl
+    || (endpoint ? `${endpoint.replace(/\/$/, '')}/${bucket}` : `https://${bucket}.s3.${region || 'us-east-1'}.amazonaws.com`))
+    .replace(/\/$/, '');
+
+  return {
+    name: 's3',
+    supportsPrivate: true,
+    // Resolves to the public URL, or null for private files (see read)
+    async put(key, buffer, contentType, { access = 'public' } = {}) {
+      const isPrivate = access === 'private';
+      try {
+        await client.send(new PutObjectCommand({
+          Bucket: bucket,
+          Key: isPrivate ? `private/${key}` : key,
+          Body: buffer,
+          ContentType: contentType,
+          CacheControl: isPrivate ? 'private, max-age=31536000, immutable' : 'public, max-age=31536000, immutable',
+        }));
+      } catch (err) {
+        console.error('❌ S3 upload failed:', err.message);
+        throw imageError(`Failed to upload image to storage: ${err.message}`, 502);
+      }
+      return isPrivate ? null : `${baseUrl}/${key}`;
+    },
+    async read(key) {
+      const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: `private/${key}` }));
+      return { body: object.Body, contentType: object.ContentType };
+    },
+    async remove(key, { access = 'public' } = {}) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: access === 'private' ? `private/${key}` : key }));
+    },
+  };
+};
+
+module.exports = { createS3Storage };
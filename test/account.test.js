@@ -0,0 +1,51 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { bearer, useApp } = require('./support');
+
+const ctx = useApp();
+
+describe('GET /me/export', () => {
+  test('downloads the caller\'s own data', async () => {
+    ctx.db.stub('users', { findOne: async () => ({ email: 'user@example.com', name: 'Member' }) });
+    ctx.db.seed('favourites', [
+      { userEmail: 'user@example.com', biodata_id: new ObjectId() },
+      { userEmail: 'someone@example.com', biodata_id: new ObjectId() },
+    ]);
+
+    const res = await ctx.api().get('/me/export').set(bearer('user-token'));
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers['content-disposition'], /attachment; filename="matrimony-data-uid-user\.json"/);
+    assert.strictEqual(res.body.user.name, 'Member');
+    assert.strictEqual(res.body.favourites.length, 1);
+  });
+});
+
+describe('DELETE /me', () => {
+  test('needs an explicit confirmation', async () => {
+    const res = await ctx.api().delete('/me').set(bearer('user-token')).send({});
+    assert.strictEqual(res.status, 400);
+  });
+
+  test('refuses staff accounts', async () => {
+    const res = await ctx.api().delete('/me').set(bearer('support-token')).send({ confirm: 'DELETE' });
+    assert.strictEqual(res.status, 403);
+  });
+
+  test('keeps shared conversations for the other participant and deletes the Firebase user', async () => {
+    const shared = { _id: new ObjectId(), participants: ['user@example.com', 'other@example.com'] };
+    const abandoned = { _id: new ObjectId(), participants: ['user@example.com', null] };
+    const deletedConversations = [];
+    const deletedUsers = [];
+    ctx.db.seed('conversations', [shared, abandoned]);
+    ctx.db.stub('conversations', {
+      deleteMany: async (filter) => { deletedConversations.push(...filter._id.$in); return { deletedCount: 1 }; },
+    });
+    ctx.auth.stub({ deleteUser: async (uid) => { deletedUsers.push(uid); } });
+
+    const res = await ctx.api().delete('/me').set(bearer('user-token')).send({ confirm: 'DELETE' });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(deletedConversations, [abandoned._id]);
+    assert.deepStrictEqual(deletedUsers, ['uid-user']);
+  });
+});
@@ -0,0 +1,18 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { useApp } = require('./support');
+
+const ctx = useApp();
+
+describe('app', () => {
+  test('answers the health check', async () => {
+    const res = await ctx.api().get('/');
+    assert.strictEqual(res.status, 200);
+    assert.match(res.text, /server is running/);
+  });
+
+  test('is exported as the request handler with run attached', () => {
+    assert.strictEqual(typeof ctx.app, 'function');
+    assert.strictEqual(typeof ctx.app.run, 'function');
+  });
+});
@@ -0,0 +1,45 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { bearer, useApp } = require('./support');
+
+const ctx = useApp();
+
+describe('audit log', () => {
+  test('records who changed premium status and what changed', async () => {
+    const entries = [];
+    ctx.db.stub('users', {
+      findOne: async () => ({ _id: new ObjectId(), email: 'target@example.com', isPremium: false }),
+      updateOne: async () => ({ matchedCount: 1, modifiedCount: 1 }),
+    });
+    ctx.db.stub('auditLog', {
+      insertOne: async (entry) => {
+        entries.push(entry);
+        return { insertedId: new ObjectId() };
+      },
+    });
+
+    const res = await ctx.api().patch('/users/Target@Example.com/premium').set(bearer('admin-token')).send({ isPremium: true });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(entries.length, 1);
+    assert.strictEqual(entries[0].action, 'user.premium.update');
+    assert.deepStrictEqual(entries[0].actor, { email: 'admin@example.com', uid: 'uid-admin', role: 'admin' });
+    assert.strictEqual(entries[0].target.email, 'target@example.com');
+    assert.deepStrictEqual(entries[0].diff, { isPremium: { from: false, to: true } });
+  });
+
+  test('is readable by admins only', async () => {
+    ctx.db.seed('auditLog', [
+      { _id: new ObjectId(), action: 'user.role.update', actor: { email: 'admin@example.com' }, createdAt: new Date('2026-03-01T10:00:00Z') },
+      { _id: new ObjectId(), action: 'user.premium.update', actor: { email: 'admin@example.com' }, createdAt: new Date('2026-03-02T10:00:00Z') },
+    ]);
+
+    const support = await ctx.api().get('/admin/audit-log').set(bearer('support-token'));
+    assert.strictEqual(support.status, 403);
+
+    const admin = await ctx.api().get('/admin/audit-log').query({ action: 'user.role.update' }).set(bearer('admin-token'));
+    assert.strictEqual(admin.status, 200);
+    assert.strictEqual(admin.body.total, 1);
+    assert.strictEqual(admin.body.entries[0].action, 'user.role.update');
+  });
+});
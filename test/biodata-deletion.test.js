@@ -0,0 +1,49 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { CRON_SECRET, bearer, useApp } = require('./support');
+
+const ctx = useApp();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const biodata = (name, fields) => ({ _id: new ObjectId(), name, email: `${name}@example.com`, photos: [], ...fields });
+
+describe('soft-deleted biodatas', () => {
+  test('are hidden from members and still visible to admins', async () => {
+    const deleted = biodata('deleted', { deletedAt: new Date(), deletedBy: 'admin@example.com' });
+    ctx.db.seed('members', [deleted]);
+
+    const member = await ctx.api().get(`/biodatas/${deleted._id}`).set(bearer('user-token'));
+    assert.strictEqual(member.status, 404);
+
+    const admin = await ctx.api().get(`/biodatas/${deleted._id}`).set(bearer('admin-token'));
+    assert.strictEqual(admin.status, 200);
+    assert.strictEqual(admin.body.name, 'deleted');
+  });
+});
+
+describe('GET /cron/purge-deleted-biodatas', () => {
+  test('requires the cron secret', async () => {
+    const res = await ctx.api().get('/cron/purge-deleted-biodatas').set(bearer('admin-token'));
+    assert.strictEqual(res.status, 401);
+  });
+
+  test('purges biodatas past the retention period with their favourites and contact requests', async () => {
+    const expired = biodata('expired', { deletedAt: new Date(Date.now() - 40 * DAY) });
+    const recent = biodata('recent', { deletedAt: new Date(Date.now() - 2 * DAY) });
+    const live = biodata('live', { deletedAt: null });
+    const removed = { members: [], favourites: [], contactRequests: [] };
+    ctx.db.seed('members', [expired, recent, live]);
+    ctx.db.stub('members', { deleteOne: async ({ _id }) => { removed.members.push(_id); return { deletedCount: 1 }; } });
+    ['favourites', 'contactRequests'].forEach((name) => ctx.db.stub(name, {
+      deleteMany: async (filter) => { removed[name].push(filter); return { deletedCount: 1 }; },
+    }));
+
+    const res = await ctx.api().get('/cron/purge-deleted-biodatas').set(bearer(CRON_SECRET));
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(removed.members, [expired._id]);
+    assert.deepStrictEqual(removed.favourites, [{ biodata_id: { $in: [expired._id.toString(), expired._id] } }]);
+    assert.deepStrictEqual(removed.contactRequests, [{ requestedBiodataId: expired._id.toString() }]);
+  });
+});
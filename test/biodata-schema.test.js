@@ -0,0 +1,45 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { validateBiodata } = require('../biodataSchema');
+const { bearer, useApp } = require('./support');
+
+const ctx = useApp();
+
+const valid = {
+  biodataType: 'Female',
+  name: '  Ayesha  ',
+  dateOfBirth: '1998-04-12',
+  permanentDivision: 'Dhaka',
+  mobileNumber: '+8801700000000',
+};
+
+describe('validateBiodata', () => {
+  test('accepts a complete body and derives age from the date of birth', () => {
+    const { set, errors } = validateBiodata(valid);
+    assert.strictEqual(errors, null);
+    assert.strictEqual(set.name, 'Ayesha');
+    assert.strictEqual(set.dob, '1998-04-12');
+    assert.strictEqual(typeof set.age, 'number');
+  });
+
+  test('reports every missing and malformed field by its request name', () => {
+    const { errors } = validateBiodata({ ...valid, name: undefined, dateOfBirth: '12/04/1998', permanentDivision: 'Atlantis' });
+    assert.deepStrictEqual(Object.keys(errors).sort(), ['dateOfBirth', 'name', 'permanentDivision']);
+  });
+
+  test('updates touch only the fields sent and refuse to clear required ones', () => {
+    const { set, unset, errors } = validateBiodata({ occupation: 'Engineer', unset: 'race,name' }, { partial: true });
+    assert.deepStrictEqual(set, { occupation: 'Engineer' });
+    assert.deepStrictEqual(unset, ['race']);
+    assert.deepStrictEqual(errors, { name: 'is required and cannot be cleared' });
+  });
+});
+
+describe('POST /biodatas', () => {
+  test('rejects an invalid body with per-field errors', async () => {
+    const res = await ctx.api().post('/biodatas').set(bearer('user-token')).send({ ...valid, mobileNumber: 'call me' });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.error, 'Validation failed');
+    assert.deepStrictEqual(Object.keys(res.body.fields), ['mobileNumber']);
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { useApp } = require('./support');
+
+const ctx = useApp();
+
+// Date of birth of someone who turned `years` old a week ago
+const dobFor = (years) => {
+  const date = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+  date.setUTCFullYear(date.getUTCFullYear() - years);
+  return date.toISOString().slice(0, 10);
+};
+
+const member = (name, fields) => ({ _id: new ObjectId(), name, email: `${name}@example.com`, createdAt: new Date(), ...fields });
+
+// Stored ages are stale on purpose: dob wins whenever it is a real date
+const withDob = member('dob', { dob: dobFor(30), age: 99 });
+const emptyDobOlder = member('empty-older', { dob: '', age: 40 });
+const emptyDobYounger = member('empty-younger', { dob: '', age: 20 });
+const noDob = member('no-dob', { age: 35 });
+
+const namesOf = (res) => res.body.biodatas.map(({ name }) => name).sort();
+
+describe('GET /biodatas age filters', () => {
+  test('minAge keeps biodatas with an empty dob to their stored age', async () => {
+    ctx.db.seed('members', [withDob, emptyDobOlder, emptyDobYounger, noDob]);
+    const res = await ctx.api().get('/biodatas').query({ minAge: 30 });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(namesOf(res), ['dob', 'empty-older', 'no-dob']);
+    assert.strictEqual(res.body.total, 3);
+  });
+
+  test('maxAge keeps biodatas with an empty dob to their stored age', async () => {
+    ctx.db.seed('members', [withDob, emptyDobOlder, emptyDobYounger, noDob]);
+    const res = await ctx.api().get('/biodatas').query({ maxAge: 30 });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(namesOf(res), ['dob', 'empty-younger']);
+  });
+
+  test('reports age from dob, or the stored age when dob is empty', async () => {
+    ctx.db.seed('members', [withDob, emptyDobOlder]);
+    const res = await ctx.api().get('/biodatas');
+    const ages = Object.fromEntries(res.body.biodatas.map(({ name, age }) => [name, age]));
+    assert.deepStrictEqual(ages, { dob: 30, 'empty-older': 40 });
+
+    const detail = await ctx.api().get(`/biodatas/${emptyDobOlder._id}`);
+    assert.strictEqual(detail.body.age, 40);
+  });
+});
+
+describe('GET /biodatas sorting and pagination', () => {
+  test('rejects unknown sort fields and malformed cursors', async () => {
+    const sort = await ctx.api().get('/biodatas').query({ sort: 'mobileNumber' });
+    assert.strictEqual(sort.status, 400);
+    const cursor = await ctx.api().get('/biodatas').query({ cursor: 'not-a-cursor' });
+    assert.strictEqual(cursor.status, 400);
+  });
+
+  test('pages through every biodata once with the cursor', async () => {
+    const members = [30, 25, 40, 35, 28].map((years, i) => member(`m${i}`, { dob: dobFor(years) }));
+    ctx.db.seed('members', members);
+
+    const first = await ctx.api().get('/biodatas').query({ sort: 'age', limit: 3 });
+    assert.strictEqual(first.status, 200);
+    assert.deepStrictEqual(first.body.biodatas.map(({ age }) => age), [25, 28, 30]);
+    assert.ok(first.body.nextCursor);
+
+    const second = await ctx.api().get('/biodatas').query({ sort: 'age', limit: 3, cursor: first.body.nextCursor });
+    assert.deepStrictEqual(second.body.biodatas.map(({ age }) => age), [35, 40]);
+    assert.strictEqual(second.body.nextCursor, null);
+  });
+});
@@ -0,0 +1,49 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { bearer, useApp } = require('./support');
+
+const ctx = useApp();
+
+// One stored user whose $set updates stick, and the claims Firebase was given for them
+const stubUser = (fields) => {
+  const user = { _id: new ObjectId(), uid: 'uid-target', email: 'target@example.com', ...fields };
+  const calls = { claims: [], revoked: [] };
+  ctx.db.stub('users', {
+    findOne: async () => ({ ...user }),
+    updateOne: async (filter, update) => {
+      Object.assign(user, update.$set);
+      return { matchedCount: 1, modifiedCount: 1 };
+    },
+  });
+  ctx.auth.stub({
+    setCustomUserClaims: async (uid, claims) => { calls.claims.push({ uid, claims }); },
+    revokeRefreshTokens: async (uid) => { calls.revoked.push(uid); },
+  });
+  return calls;
+};
+
+describe('custom claims', () => {
+  test('a promotion is mirrored into the claims without ending sessions', async () => {
+    const calls = stubUser({ role: 'user' });
+    const res = await ctx.api().patch('/users/target@example.com/role').set(bearer('admin-token')).send({ role: 'moderator' });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(calls.claims, [{ uid: 'uid-target', claims: { role: 'moderator', isPremium: false, premiumUntil: null } }]);
+    assert.deepStrictEqual(calls.revoked, []);
+  });
+
+  test('a demotion also ends the user\'s sessions', async () => {
+    const calls = stubUser({ role: 'moderator' });
+    const res = await ctx.api().patch('/users/target@example.com/role').set(bearer('admin-token')).send({ role: 'user' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(calls.claims[0].claims.role, 'user');
+    assert.deepStrictEqual(calls.revoked, ['uid-target']);
+  });
+
+  test('premium changes are mirrored too', async () => {
+    const calls = stubUser({ role: 'user', isPremium: false });
+    const res = await ctx.api().patch('/users/target@example.com/premium').set(bearer('admin-token')).send({ isPremium: true });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(calls.claims[0].claims.isPremium, true);
+  });
+});
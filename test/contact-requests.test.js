@@ -0,0 +1,126 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { bearer, useApp } = require('./support');
+
+const ctx = useApp();
+
+const ownBiodata = { _id: new ObjectId(), email: 'user@example.com', name: 'Owner' };
+
+describe('owner response to a contact request', () => {
+  // The caller owns `ownBiodata`; `pending` is the request waiting for them
+  const stubPendingRequest = (pending) => {
+    const transitions = [];
+    ctx.db.stub('members', { findOne: async () => ownBiodata });
+    ctx.db.stub('contactRequests', {
+      findOneAndUpdate: async (filter, update) => {
+        if (!pending || !filter._id.equals(pending._id) || filter.requestedBiodataId !== pending.requestedBiodataId) return null;
+        transitions.push(update);
+        return pending;
+      },
+      findOne: async () => null,
+    });
+    return transitions;
+  };
+
+  test('accepting approves the request and records the owner in its history', async () => {
+    const pending = {
+      _id: new ObjectId(),
+      requestedBiodataId: ownBiodata._id.toString(),
+      requesterEmail: 'premium@example.com',
+      status: 'pending',
+      stage: 'awaiting_owner',
+    };
+    const transitions = stubPendingRequest(pending);
+
+    const res = await ctx.api().patch(`/incoming-contact-requests/${pending._id}/accept`).set(bearer('user-token'));
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.stage, 'approved');
+    assert.strictEqual(transitions[0].$set.status, 'approved');
+    assert.deepStrictEqual(
+      { actor: transitions[0].$push.history.actor, actorRole: transitions[0].$push.history.actorRole },
+      { actor: 'user@example.com', actorRole: 'owner' }
+    );
+  });
+
+  test('a request for someone else\'s biodata is not found', async () => {
+    const elsewhere = { _id: new ObjectId(), requestedBiodataId: new ObjectId().toString(), status: 'pending' };
+    const transitions = stubPendingRequest(elsewhere);
+
+    const res = await ctx.api().patch(`/incoming-contact-requests/${elsewhere._id}/decline`).set(bearer('user-token'));
+    assert.strictEqual(res.status, 404);
+    assert.strictEqual(transitions.length, 0);
+  });
+});
+
+describe('contact request quotas', () => {
+  const requester = { _id: new ObjectId(), email: 'premium@example.com', isPremium: true, premiumPlan: { contactRequestQuota: 1 } };
+  const wanted = { _id: new ObjectId(), email: 'owner@example.com', name: 'Owner' };
+
+  // A premium requester with a one-request monthly quota; returns the quota usage as it changes
+  const stubRequester = () => {
+    const usage = { count: 0 };
+    ctx.db.stub('members', {
+      findOne: async (query) => (query._id?.equals?.(wanted._id) ? wanted : null),
+    });
+    ctx.db.stub('users', {
+      findOne: async () => requester,
+      updateOne: async (filter, update) => {
+        if (update.$inc) {
+          usage.count += update.$inc['contactRequestUsage.count'];
+          return { matchedCount: 1, modifiedCount: 1 };
+        }
+        if (usage.count >= requester.premiumPlan.contactRequestQuota) return { matchedCount: 0, modifiedCount: 0 };
+        usage.count += 1;
+        return { matchedCount: 1, modifiedCount: 1 };
+      },
+    });
+    return usage;
+  };
+
+  const send = () => ctx.api().post('/contact-requests').set(bearer('premium-token')).send({ biodataId: wanted._id.toString() });
+
+  test('withdrawing a request does not give its quota back', async () => {
+    const usage = stubRequester();
+    const first = await send();
+    assert.strictEqual(first.status, 201);
+
+    ctx.db.stub('contactRequests', {
+      findOneAndUpdate: async () => ({ _id: first.body.requestId, requesterEmail: requester.email, status: 'pending' }),
+    });
+    const withdrawn = await ctx.api().delete(`/contact-requests/${first.body.requestId}`).set(bearer('premium-token'));
+    assert.strictEqual(withdrawn.status, 200);
+    assert.strictEqual(usage.count, 1);
+
+    ctx.db.seed('contactRequests', [{ requesterEmail: requester.email, requestedBiodataId: wanted._id.toString(), status: 'withdrawn' }]);
+    const again = await send();
+    assert.strictEqual(again.status, 429);
+  });
+
+  test('a declined requester may ask again', async () => {
+    stubRequester();
+    ctx.db.seed('contactRequests', [{ requesterEmail: requester.email, requestedBiodataId: wanted._id.toString(), status: 'rejected' }]);
+    const res = await send();
+    assert.strictEqual(res.status, 201);
+  });
+
+  test('a pending request blocks another one for the same biodata', async () => {
+    const usage = stubRequester();
+    ctx.db.seed('contactRequests', [{ requesterEmail: requester.email, requestedBiodataId: wanted._id.toString(), status: 'pending' }]);
+    const res = await send();
+    assert.strictEqual(res.status, 409);
+    assert.strictEqual(usage.count, 0);
+  });
+
+  test('losing a race to the unique index returns 409 and gives the quota back', async () => {
+    const usage = stubRequester();
+    ctx.db.stub('contactRequests', {
+      insertOne: async () => {
+        throw Object.assign(new Error('duplicate key'), { code: 11000 });
+      },
+    });
+    const res = await send();
+    assert.strictEqual(res.status, 409);
+    assert.strictEqual(usage.count, 0);
+  });
+});
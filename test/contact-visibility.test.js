@@ -0,0 +1,81 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { bearer, cursorOf, useApp } = require('./support');
+
+const ctx = useApp();
+
+const biodataId = new ObjectId();
+const biodata = {
+  _id: biodataId,
+  email: 'owner@example.com',
+  name: 'Owner',
+  biodataType: 'Female',
+  mobileNumber: '+8801700000000',
+  contactEmail: 'owner.contact@example.com',
+};
+
+// Serve `biodata` from GET /biodatas/:id, plus the viewer's approved contact requests
+const stubBiodata = ({ approvedFor = [] } = {}) => {
+  ctx.db.stub('members', { findOne: async (query) => (query._id?.equals?.(biodataId) ? { ...biodata } : null) });
+  ctx.db.stub('contactRequests', { find: () => cursorOf(approvedFor.map((id) => ({ requestedBiodataId: id }))) });
+};
+
+describe('GET /biodatas/:id contact details', () => {
+  test('are hidden from anonymous visitors', async () => {
+    stubBiodata();
+    const res = await ctx.api().get(`/biodatas/${biodataId}`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.contactVisible, false);
+    assert.strictEqual(res.body.mobileNumber, undefined);
+    assert.strictEqual(res.body.contactEmail, undefined);
+    assert.strictEqual(res.body.email, undefined);
+    assert.strictEqual(res.body.name, 'Owner');
+  });
+
+  test('are hidden from members without an approved request', async () => {
+    stubBiodata({ approvedFor: [new ObjectId()] });
+    const res = await ctx.api().get(`/biodatas/${biodataId}`).set(bearer('premium-token'));
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.contactVisible, false);
+    assert.strictEqual(res.body.mobileNumber, undefined);
+    assert.strictEqual(res.body.email, undefined);
+  });
+
+  test('are shown to a member whose contact request was approved', async () => {
+    stubBiodata({ approvedFor: [biodataId] });
+    const res = await ctx.api().get(`/biodatas/${biodataId}`).set(bearer('user-token'));
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.contactVisible, true);
+    assert.strictEqual(res.body.mobileNumber, biodata.mobileNumber);
+    assert.strictEqual(res.body.contactEmail, biodata.contactEmail);
+    assert.strictEqual(res.body.email, biodata.email);
+  });
+
+  test('are shown to the owner', async () => {
+    ctx.db.stub('members', { findOne: async () => ({ ...biodata, email: 'User@Example.com' }) });
+    const res = await ctx.api().get(`/biodatas/${biodataId}`).set(bearer('user-token'));
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.contactVisible, true);
+    assert.strictEqual(res.body.mobileNumber, biodata.mobileNumber);
+  });
+
+  test('are shown to support staff', async () => {
+    stubBiodata();
+    const res = await ctx.api().get(`/biodatas/${biodataId}`).set(bearer('support-token'));
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.contactVisible, true);
+    assert.strictEqual(res.body.contactEmail, biodata.contactEmail);
+  });
+
+  test('are hidden in the public biodata list', async () => {
+    ctx.db.seed('members', [{ ...biodata }]);
+    const res = await ctx.api().get('/biodatas');
+    assert.strictEqual(res.status, 200);
+    const [listed] = res.body.biodatas;
+    assert.strictEqual(listed.contactVisible, false);
+    assert.strictEqual(listed.mobileNumber, undefined);
+    assert.strictEqual(listed.contactEmail, undefined);
+    assert.strictEqual(listed.email, undefined);
+  });
+});
@@ -0,0 +1,54 @@
+const { after, describe, test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { ObjectId } = require('mongodb');
+const { createFileTransport } = require('../mail/file');
+const { CRON_SECRET, bearer, useApp } = require('./support');
+
+const ctx = useApp();
+
+const directory = path.join(os.tmpdir(), `matrimony-mail-test-${process.pid}`);
+after(() => fs.rm(directory, { recursive: true, force: true }));
+
+describe('GET /cron/email-outbox', () => {
+  test('requires the cron secret', async () => {
+    const res = await ctx.api().get('/cron/email-outbox');
+    assert.strictEqual(res.status, 401);
+  });
+
+  test('sends at most one batch per run', async () => {
+    // An outbox that never runs dry
+    let claimed = 0;
+    const sent = [];
+    ctx.db.stub('emailOutbox', {
+      findOneAndUpdate: async () => {
+        claimed += 1;
+        return { _id: new ObjectId(), to: `member${claimed}@example.com`, subject: 'Hello', text: 'Hello', attempts: 1 };
+      },
+      updateOne: async (filter, update) => {
+        if (update.$set.status === 'sent') sent.push(filter._id);
+        return { matchedCount: 1, modifiedCount: 1 };
+      },
+    });
+
+    const res = await ctx.api().get('/cron/email-outbox').set(bearer(CRON_SECRET));
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.processed, 50);
+    assert.strictEqual(claimed, 50);
+    assert.strictEqual(sent.length, 50);
+  });
+});
+
+describe('file mail transport', () => {
+  test('logs a masked recipient', async (t) => {
+    const log = t.mock.method(console, 'log', () => {});
+    await createFileTransport({ directory }).send({
+      from: 'no-reply@example.com', to: 'jane@example.com', subject: 'Hello', text: 'Hello',
+    });
+    const [line] = log.mock.calls[0].arguments;
+    assert.match(line, /j\*\*\*@example\.com/);
+    assert.doesNotMatch(line, /jane@/);
+  });
+});
@@ -0,0 +1,61 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { bearer, useApp } = require('./support');
+
+const ctx = useApp();
+
+const biodata = (name) => ({ _id: new ObjectId(), name, email: `${name}@example.com`, photos: [], deletedAt: null });
+
+describe('POST /favourites', () => {
+  test('stores the biodata id as an ObjectId against the caller', async () => {
+    const liked = biodata('liked');
+    const inserted = [];
+    ctx.db.seed('members', [liked]);
+    ctx.db.stub('favourites', {
+      insertOne: async (favourite) => { inserted.push(favourite); return { insertedId: new ObjectId() }; },
+    });
+
+    const res = await ctx.api().post('/favourites').set(bearer('user-token'))
+      .send({ biodata_id: liked._id.toString(), tags: ['Shortlist', 'shortlist'] });
+    assert.strictEqual(res.status, 201);
+    assert.ok(inserted[0].biodata_id instanceof ObjectId);
+    assert.ok(inserted[0].biodata_id.equals(liked._id));
+    assert.strictEqual(inserted[0].userEmail, 'user@example.com');
+    assert.deepStrictEqual(inserted[0].tags, ['shortlist']);
+  });
+
+  test('a biodata already in the shortlist is rejected by the unique index', async () => {
+    const liked = biodata('liked');
+    ctx.db.seed('members', [liked]);
+    ctx.db.stub('favourites', {
+      insertOne: async () => { throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }); },
+    });
+
+    const res = await ctx.api().post('/favourites').set(bearer('user-token')).send({ biodata_id: liked._id.toString() });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.error, 'Biodata already in favorites');
+  });
+});
+
+describe('GET /favourites', () => {
+  test('needs a signed-in user', async () => {
+    const res = await ctx.api().get('/favourites').query({ email: 'user@example.com' });
+    assert.strictEqual(res.status, 401);
+  });
+
+  test('lists only the caller\'s favourites with their biodatas joined in', async () => {
+    const mine = biodata('mine');
+    const theirs = biodata('theirs');
+    ctx.db.seed('members', [mine, theirs]);
+    ctx.db.seed('favourites', [
+      { _id: new ObjectId(), userEmail: 'user@example.com', biodata_id: mine._id, tags: [], addedAt: new Date() },
+      { _id: new ObjectId(), userEmail: 'premium@example.com', biodata_id: theirs._id, tags: [], addedAt: new Date() },
+    ]);
+
+    const res = await ctx.api().get('/favourites').set(bearer('user-token'));
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.total, 1);
+    assert.deepStrictEqual(res.body.favourites.map(({ biodata: joined }) => joined.name), ['mine']);
+  });
+});
@@ -0,0 +1,41 @@
+const { after, describe, test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createLocalStorage } = require('../storage/local');
+
+const root = path.join(os.tmpdir(), `matrimony-storage-test-${process.pid}`);
+const storage = createLocalStorage({
+  directory: path.join(root, 'public'),
+  privateDirectory: path.join(root, 'private'),
+  publicBaseUrl: 'http://localhost:3000/',
+});
+
+after(() => fs.rm(root, { recursive: true, force: true }));
+
+describe('local image storage', () => {
+  test('serves public files from their URL and keeps private ones out of it', async () => {
+    const url = await storage.put('biodatas/a/thumb.jpg', Buffer.from('public'), 'image/jpeg');
+    assert.strictEqual(url, 'http://localhost:3000/uploads/biodatas/a/thumb.jpg');
+
+    const privateUrl = await storage.put('biodatas/a/original.jpg', Buffer.from('private'), 'image/jpeg', { access: 'private' });
+    assert.strictEqual(privateUrl, null);
+    const { body, contentType } = await storage.read('biodatas/a/original.jpg');
+    assert.strictEqual(body.toString(), 'private');
+    assert.strictEqual(contentType, 'image/jpeg');
+    await assert.rejects(fs.access(path.join(root, 'public', 'biodatas/a/original.jpg')));
+  });
+
+  test('removes files, and removing one twice is not an error', async () => {
+    await storage.put('biodatas/b/original.webp', Buffer.from('x'), 'image/webp', { access: 'private' });
+    await storage.remove('biodatas/b/original.webp', { access: 'private' });
+    await storage.remove('biodatas/b/original.webp', { access: 'private' });
+    await assert.rejects(storage.read('biodatas/b/original.webp'), { code: 'ENOENT' });
+  });
+
+  test('refuses keys that leave the storage directory', async () => {
+    await assert.rejects(storage.put('../escape.jpg', Buffer.from('x'), 'image/jpeg'), { statusCode: 400 });
+    await assert.rejects(storage.read('../../etc/passwd'), { statusCode: 400 });
+  });
+});
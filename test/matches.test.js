@@ -0,0 +1,39 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { bearer, useApp } = require('./support');
+
+const ctx = useApp();
+
+// Date of birth of someone who turned `years` old a week ago
+const dobFor = (years) => {
+  const date = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+  date.setUTCFullYear(date.getUTCFullYear() - years);
+  return date.toISOString().slice(0, 10);
+};
+
+const member = (name, fields) => ({
+  _id: new ObjectId(), name, email: `${name}@example.com`, biodataType: 'Female', deletedAt: null, ...fields,
+});
+
+describe('GET /matches/me', () => {
+  test('the age prefilter uses dob when it is a date and the stored age otherwise', async () => {
+    const own = member('user', { biodataType: 'Male', dob: dobFor(30), partnerAge: { min: 25, max: 30 } });
+    ctx.db.seed('members', [
+      own,
+      // partnerAge is widened by the 5-year scoring tolerance, to 20-35
+      member('dob-inside', { dob: dobFor(27), age: 60 }),
+      member('dob-outside', { dob: dobFor(45), age: 27 }),
+      member('empty-dob-inside', { dob: '', age: 28 }),
+      member('empty-dob-outside', { dob: '', age: 50 }),
+    ]);
+
+    const res = await ctx.api().get('/matches/me').set(bearer('user-token'));
+    assert.strictEqual(res.status, 200);
+    const names = res.body.matches.map(({ biodata }) => biodata.name).sort();
+    assert.deepStrictEqual(names, ['dob-inside', 'empty-dob-inside']);
+    const ages = Object.fromEntries(res.body.matches.map(({ biodata, breakdown }) => [biodata.name, breakdown.preferences.criteria.age]));
+    assert.deepStrictEqual(ages['dob-inside'], { preferred: { min: 25, max: 30 }, actual: 27, score: 1 });
+    assert.deepStrictEqual(ages['empty-dob-inside'], { preferred: { min: 25, max: 30 }, actual: 28, score: 1 });
+  });
+});
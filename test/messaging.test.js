@@ -0,0 +1,79 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { bearer, useApp } = require('./support');
+
+const ctx = useApp();
+
+// user@example.com asked for premium@example.com's contact details, and they are talking about it
+const seedContact = (status) => {
+  const biodatas = ['user', 'premium'].map((name) => ({ _id: new ObjectId(), email: `${name}@example.com`, deletedAt: null }));
+  const request = {
+    _id: new ObjectId(),
+    requesterEmail: 'user@example.com',
+    requestedBiodataId: biodatas[1]._id.toString(),
+    status,
+  };
+  const conversation = {
+    _id: new ObjectId(),
+    participants: ['premium@example.com', 'user@example.com'],
+    participantKey: 'premium@example.com|user@example.com',
+    contactRequestId: request._id,
+    blockedBy: [],
+  };
+  ctx.db.seed('members', biodatas);
+  ctx.db.seed('contactRequests', [request]);
+  ctx.db.seed('conversations', [conversation]);
+  return { request, conversation };
+};
+
+describe('POST /conversations', () => {
+  test('opens only once the contact request is approved', async () => {
+    const { request } = seedContact('pending');
+    const res = await ctx.api().post('/conversations').set(bearer('user-token')).send({ contactRequestId: request._id.toString() });
+    assert.strictEqual(res.status, 403);
+  });
+});
+
+describe('POST /conversations/:id/messages', () => {
+  test('sends between mutually approved contacts', async () => {
+    const { conversation } = seedContact('approved');
+    const inserted = [];
+    ctx.db.stub('messages', {
+      insertOne: async (message) => { inserted.push(message); return { insertedId: new ObjectId() }; },
+    });
+
+    const res = await ctx.api().post(`/conversations/${conversation._id}/messages`).set(bearer('user-token')).send({ body: ' Hello ' });
+    assert.strictEqual(res.status, 201);
+    assert.strictEqual(inserted[0].body, 'Hello');
+    assert.strictEqual(inserted[0].recipientEmail, 'premium@example.com');
+  });
+
+  test('stops once the contact request is no longer approved', async () => {
+    const { conversation } = seedContact('withdrawn');
+    const res = await ctx.api().post(`/conversations/${conversation._id}/messages`).set(bearer('premium-token')).send({ body: 'Hello' });
+    assert.strictEqual(res.status, 403);
+    assert.strictEqual(res.body.error, 'Messaging requires an approved contact request');
+  });
+
+  test('rejects messages over the length limit', async () => {
+    const { conversation } = seedContact('approved');
+    const res = await ctx.api().post(`/conversations/${conversation._id}/messages`).set(bearer('user-token')).send({ body: 'x'.repeat(2001) });
+    assert.strictEqual(res.status, 400);
+  });
+});
+
+describe('GET /conversations/:id/messages', () => {
+  test('staff without messages:read cannot open a conversation, admins can and are audited', async () => {
+    const { conversation } = seedContact('approved');
+    const audits = [];
+    ctx.db.stub('auditLog', { insertOne: async (entry) => { audits.push(entry); return { insertedId: new ObjectId() }; } });
+
+    const moderator = await ctx.api().get(`/conversations/${conversation._id}/messages`).set(bearer('moderator-token'));
+    assert.strictEqual(moderator.status, 404);
+
+    const admin = await ctx.api().get(`/conversations/${conversation._id}/messages`).set(bearer('admin-token')).query({ reason: 'report' });
+    assert.strictEqual(admin.status, 200);
+    assert.deepStrictEqual(audits.map(({ action }) => action), ['conversation.read']);
+  });
+});
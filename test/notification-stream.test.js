@@ -0,0 +1,88 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const { bearer, cursorOf, useApp } = require('./support');
+
+const ctx = useApp();
+
+// Keep issued tickets in memory so they can be redeemed, once each
+const stubTicketStore = ({ tokenExpiresAt } = {}) => {
+  const tickets = [];
+  ctx.db.stub('streamTickets', {
+    insertOne: async (doc) => {
+      tickets.push({ ...doc, ...(tokenExpiresAt && { tokenExpiresAt }) });
+      return { insertedId: new ObjectId() };
+    },
+    findOneAndDelete: async ({ ticketHash, expiresAt }) => {
+      const index = tickets.findIndex((t) => t.ticketHash === ticketHash && t.expiresAt > expiresAt.$gt);
+      return index === -1 ? null : tickets.splice(index, 1)[0];
+    },
+  });
+  return tickets;
+};
+
+describe('POST /notifications/stream-ticket', () => {
+  test('requires an ID token', async () => {
+    const res = await ctx.api().post('/notifications/stream-ticket');
+    assert.strictEqual(res.status, 401);
+  });
+
+  test('stores only a hash of the ticket', async () => {
+    const tickets = stubTicketStore();
+    const res = await ctx.api().post('/notifications/stream-ticket').set(bearer('user-token'));
+    assert.strictEqual(res.status, 201);
+    assert.strictEqual(tickets.length, 1);
+    assert.strictEqual(tickets[0].email, 'user@example.com');
+    assert.notStrictEqual(tickets[0].ticketHash, res.body.ticket);
+    assert.strictEqual(tickets[0].ticketHash, crypto.createHash('sha256').update(res.body.ticket).digest('hex'));
+  });
+});
+
+describe('GET /notifications/stream', () => {
+  test('rejects requests without a ticket', async () => {
+    const res = await ctx.api().get('/notifications/stream');
+    assert.strictEqual(res.status, 401);
+  });
+
+  test('does not accept an ID token in the URL', async () => {
+    const res = await ctx.api().get('/notifications/stream').query({ access_token: 'user-token' });
+    assert.strictEqual(res.status, 401);
+  });
+
+  test('rejects an unknown ticket', async () => {
+    stubTicketStore();
+    const res = await ctx.api().get('/notifications/stream').query({ ticket: 'made-up' });
+    assert.strictEqual(res.status, 401);
+  });
+
+  test('accepts a ticket once', async () => {
+    // An already expired ID token makes the stream end straight after it opens
+    stubTicketStore({ tokenExpiresAt: new Date(Date.now() - 1000) });
+    const notification = { _id: new ObjectId(), recipientEmail: 'user@example.com', title: 'Hello' };
+    ctx.db.stub('notifications', {
+      countDocuments: async () => 3,
+      find: () => cursorOf([notification]),
+    });
+
+    const { body: { ticket } } = await ctx.api().post('/notifications/stream-ticket').set(bearer('user-token'));
+
+    const first = await ctx.api()
+      .get('/notifications/stream')
+      .query({ ticket })
+      .buffer(true)
+      .parse((res, callback) => {
+        let text = '';
+        res.on('data', (chunk) => { text += chunk; });
+        res.on('end', () => callback(null, text));
+      });
+    assert.strictEqual(first.status, 200);
+    assert.match(first.headers['content-type'], /^text\/event-stream/);
+    assert.match(first.body, /event: unread-count\ndata: {"unreadCount":3}/);
+    assert.match(first.body, new RegExp(`id: ${notification._id}\nevent: notification\n`));
+    assert.match(first.body, /event: token-expired/);
+
+    const second = await ctx.api().get('/notifications/stream').query({ ticket });
+    assert.strictEqual(second.status, 401);
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { bearer, useApp } = require('./support');
+
+const ctx = useApp();
+
+const payment = (id, createdAt, status, amount = 1000) => ({
+  _id: new ObjectId(),
+  paymentIntentId: id,
+  email: 'user@example.com',
+  currency: 'usd',
+  amount,
+  status,
+  createdAt: new Date(createdAt),
+});
+
+describe('GET /payments', () => {
+  test('a date-only `to` covers the whole of that day', async () => {
+    ctx.db.seed('payments', [
+      payment('pi_morning', '2026-01-31T00:30:00Z', 'paid'),
+      payment('pi_evening', '2026-01-31T23:30:00Z', 'paid'),
+      payment('pi_next_day', '2026-02-01T00:00:00Z', 'paid'),
+    ]);
+    const res = await ctx.api().get('/payments').query({ from: '2026-01-31', to: '2026-01-31' }).set(bearer('support-token'));
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.payments.map(({ paymentIntentId }) => paymentIntentId), ['pi_evening', 'pi_morning']);
+  });
+
+  test('leaves payments awaiting a refund out of the paid total', async () => {
+    ctx.db.seed('payments', [
+      payment('pi_paid', '2026-01-10T10:00:00Z', 'paid', 1000),
+      payment('pi_refunding', '2026-01-11T10:00:00Z', 'refund_pending', 1000),
+      payment('pi_failed', '2026-01-12T10:00:00Z', 'failed', 1000),
+    ]);
+    const res = await ctx.api().get('/payments').set(bearer('support-token'));
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.totals, [{ currency: 'usd', count: 3, paid: 1000, refunded: 0, net: 1000 }]);
+  });
+
+  test('rejects invalid dates', async () => {
+    const res = await ctx.api().get('/payments').query({ to: 'last week' }).set(bearer('support-token'));
+    assert.strictEqual(res.status, 400);
+  });
+});
+
+describe('Stripe customers', () => {
+  test('checkout reuses the customer saved on the user', async () => {
+    ctx.db.stub('plans', { findOne: async () => ({ _id: new ObjectId(), price: 10, currency: 'usd', isDefault: true, isActive: true }) });
+    ctx.db.stub('users', { findOne: async () => ({ email: 'user@example.com', stripeCustomerId: 'cus_saved' }) });
+    ctx.stripe.stub('customers', {
+      retrieve: async (id) => ({ id, name: 'Member', phone: '01700000000' }),
+    });
+    let intent;
+    ctx.stripe.stub('paymentIntents', {
+      create: async (params) => {
+        intent = params;
+        return { client_secret: 'pi_secret' };
+      },
+    });
+
+    // customers.create is left unstubbed, so creating another customer would fail the request
+    const res = await ctx.api()
+      .post('/create-payment-intent')
+      .set(bearer('user-token'))
+      .send({ name: 'Member', phone: '01700000000' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(intent.customer, 'cus_saved');
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { bearer, cursorOf, useApp } = require('./support');
+
+const ctx = useApp();
+
+describe('authentication', () => {
+  test('rejects requests without a token', async () => {
+    const res = await ctx.api().get('/payments');
+    assert.strictEqual(res.status, 401);
+  });
+
+  test('rejects an invalid token', async () => {
+    const res = await ctx.api().get('/payments').set(bearer('not-a-token'));
+    assert.strictEqual(res.status, 401);
+  });
+});
+
+describe('role permissions', () => {
+  test('members cannot list payments', async () => {
+    const res = await ctx.api().get('/payments').set(bearer('user-token'));
+    assert.strictEqual(res.status, 403);
+    assert.deepStrictEqual(res.body.missing, ['payments:read']);
+  });
+
+  test('moderators cannot list payments', async () => {
+    const res = await ctx.api().get('/payments').set(bearer('moderator-token'));
+    assert.strictEqual(res.status, 403);
+  });
+
+  test('support can list payments', async () => {
+    ctx.db.stub('payments', {
+      find: () => cursorOf([{ paymentIntentId: 'pi_1', amount: 1000, status: 'paid' }]),
+      countDocuments: async () => 1,
+    });
+
+    const res = await ctx.api().get('/payments').set(bearer('support-token'));
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.total, 1);
+    assert.strictEqual(res.body.payments[0].paymentIntentId, 'pi_1');
+  });
+
+  test('only admins change premium status', async () => {
+    for (const token of ['user-token', 'support-token', 'moderator-token']) {
+      const res = await ctx.api()
+        .patch('/users/someone@example.com/premium')
+        .set(bearer(token))
+        .send({ isPremium: true });
+      assert.strictEqual(res.status, 403, token);
+    }
+
+    ctx.db.stub('users', {
+      findOne: async () => ({ email: 'someone@example.com', role: 'user' }),
+      updateOne: async () => ({ matchedCount: 1, modifiedCount: 1 }),
+    });
+    const res = await ctx.api()
+      .patch('/users/someone@example.com/premium')
+      .set(bearer('admin-token'))
+      .send({ isPremium: true });
+    assert.strictEqual(res.status, 200);
+  });
+
+  test('only admins assign roles', async () => {
+    const res = await ctx.api()
+      .patch('/users/someone@example.com/role')
+      .set(bearer('moderator-token'))
+      .send({ role: 'admin' });
+    assert.strictEqual(res.status, 403);
+  });
+});
+
+describe('POST /users', () => {
+  test('ignores isPremium in the body', async () => {
+    let inserted;
+    ctx.db.stub('users', {
+      insertOne: async (doc) => {
+        inserted = doc;
+        return { insertedId: 'new-user' };
+      },
+    });
+
+    const res = await ctx.api()
+      .post('/users')
+      .set(bearer('user-token'))
+      .send({ name: 'New Member', isPremium: true });
+    assert.strictEqual(res.status, 201);
+    assert.strictEqual(inserted.isPremium, false);
+    assert.strictEqual(inserted.email, 'user@example.com');
+  });
+
+  test('members cannot create users for another email or assign roles', async () => {
+    const forOther = await ctx.api()
+      .post('/users')
+      .set(bearer('user-token'))
+      .send({ targetEmail: 'other@example.com' });
+    assert.strictEqual(forOther.status, 403);
+
+    const withRole = await ctx.api()
+      .post('/users')
+      .set(bearer('user-token'))
+      .send({ role: 'admin' });
+    assert.strictEqual(withRole.status, 403);
+  });
+});
@@ -0,0 +1,69 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { bearer, useApp } = require('./support');
+
+const ctx = useApp();
+
+const photo = () => {
+  const _id = new ObjectId();
+  return { _id, url: `https://cdn.example.com/${_id}.jpg`, variants: null, moderation: { status: 'approved' } };
+};
+
+// A gallery of three owned by user@example.com; returns the updates and audit entries it receives
+const stubGallery = () => {
+  const photos = [photo(), photo(), photo()];
+  const biodata = { _id: new ObjectId(), email: 'user@example.com', photos, primaryPhotoId: photos[0]._id, deletedAt: null };
+  const calls = { updates: [], audits: [] };
+  ctx.db.stub('members', {
+    findOne: async () => biodata,
+    findOneAndUpdate: async (filter, update) => {
+      calls.updates.push(update);
+      const remaining = update.$pull ? photos.filter(({ _id }) => !_id.equals(update.$pull.photos._id)) : photos;
+      return { ...biodata, ...update.$set, photos: update.$set.photos || remaining };
+    },
+  });
+  ctx.db.stub('auditLog', {
+    insertOne: async (entry) => {
+      calls.audits.push(entry);
+      return { insertedId: new ObjectId() };
+    },
+  });
+  return { biodata, photos, calls };
+};
+
+describe('photo gallery', () => {
+  test('deleting the primary photo promotes the next one', async () => {
+    const { biodata, photos, calls } = stubGallery();
+    const res = await ctx.api().delete(`/biodatas/${biodata._id}/photos/${photos[0]._id}`).set(bearer('user-token'));
+    assert.strictEqual(res.status, 200);
+    assert.ok(calls.updates[0].$set.primaryPhotoId.equals(photos[1]._id));
+    assert.strictEqual(res.body.photos.length, 2);
+    assert.deepStrictEqual(calls.audits, []);
+  });
+
+  test('reordering must list every photo exactly once', async () => {
+    const { biodata, photos } = stubGallery();
+    const res = await ctx.api()
+      .patch(`/biodatas/${biodata._id}/photos/order`)
+      .set(bearer('user-token'))
+      .send({ order: [photos[1]._id, photos[0]._id] });
+    assert.strictEqual(res.status, 400);
+  });
+
+  test('other members cannot edit the gallery', async () => {
+    const { biodata, photos } = stubGallery();
+    const res = await ctx.api().patch(`/biodatas/${biodata._id}/photos/${photos[1]._id}/primary`).set(bearer('premium-token'));
+    assert.strictEqual(res.status, 403);
+  });
+
+  test('staff edits are audited', async () => {
+    const { biodata, photos, calls } = stubGallery();
+    const order = [photos[2]._id, photos[0]._id, photos[1]._id].map(String);
+    const res = await ctx.api().patch(`/biodatas/${biodata._id}/photos/order`).set(bearer('moderator-token')).send({ order });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(calls.audits.length, 1);
+    assert.strictEqual(calls.audits[0].action, 'photo.reorder');
+    assert.deepStrictEqual(calls.audits[0].diff.photoIds.to, order);
+  });
+});
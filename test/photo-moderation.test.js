@@ -0,0 +1,75 @@
+const { beforeEach, describe, test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { bearer, useApp } = require('./support');
+
+const ctx = useApp();
+
+const PLACEHOLDER = 'http://localhost:3000/photos/placeholder.svg';
+
+const biodataId = new ObjectId();
+const approvedPhotoId = new ObjectId();
+const pendingPhotoId = new ObjectId();
+
+const photo = (_id, status) => ({
+  _id,
+  url: `https://cdn.example.com/${_id}.jpg`,
+  variants: null,
+  moderation: { status, reason: null, reviewedBy: null, reviewedAt: null },
+});
+
+// A biodata whose primary photo is still waiting for moderation
+const biodata = () => ({
+  _id: biodataId,
+  email: 'owner@example.com',
+  name: 'Owner',
+  profileImage: `https://cdn.example.com/${pendingPhotoId}.jpg`,
+  profileImageVariants: null,
+  primaryPhotoId: pendingPhotoId,
+  photos: [photo(approvedPhotoId, 'approved'), photo(pendingPhotoId, 'pending')],
+});
+
+beforeEach(() => {
+  ctx.db.stub('members', { findOne: async () => biodata() });
+});
+
+describe('GET /biodatas/:id photo moderation', () => {
+  test('shows the placeholder and only approved photos to other members', async () => {
+    const res = await ctx.api().get(`/biodatas/${biodataId}`).set(bearer('user-token'));
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.profileImage, PLACEHOLDER);
+    assert.strictEqual(res.body.photoPending, true);
+    assert.deepStrictEqual(res.body.photos.map(({ _id }) => _id), [approvedPhotoId.toString()]);
+    assert.strictEqual(res.body.photos[0].moderation, undefined);
+  });
+
+  test('shows the placeholder to anonymous visitors', async () => {
+    const res = await ctx.api().get(`/biodatas/${biodataId}`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.profileImage, PLACEHOLDER);
+  });
+
+  test('shows pending photos to the owner', async () => {
+    ctx.db.stub('members', { findOne: async () => ({ ...biodata(), email: 'user@example.com' }) });
+    const res = await ctx.api().get(`/biodatas/${biodataId}`).set(bearer('user-token'));
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.profileImage, `https://cdn.example.com/${pendingPhotoId}.jpg`);
+    assert.strictEqual(res.body.photos.length, 2);
+  });
+
+  test('shows pending photos to moderators', async () => {
+    const res = await ctx.api().get(`/biodatas/${biodataId}`).set(bearer('moderator-token'));
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.profileImage, `https://cdn.example.com/${pendingPhotoId}.jpg`);
+    assert.strictEqual(res.body.photos.length, 2);
+  });
+});
+
+describe('photo moderation queue', () => {
+  test('is closed to members and support staff', async () => {
+    for (const token of ['user-token', 'support-token']) {
+      const res = await ctx.api().get('/admin/photo-moderation').set(bearer(token));
+      assert.strictEqual(res.status, 403, token);
+    }
+  });
+});
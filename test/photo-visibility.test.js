@@ -0,0 +1,80 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { bearer, cursorOf, useApp } = require('./support');
+
+const ctx = useApp();
+
+const biodataId = new ObjectId();
+const photoId = new ObjectId();
+
+const variants = {
+  jpeg: 'private:biodatas/abc/original.jpg',
+  webp: 'private:biodatas/abc/original.webp',
+  blurred: { jpeg: 'https://cdn.example.com/abc/blurred.jpg', webp: 'https://cdn.example.com/abc/blurred.webp' },
+};
+
+const biodata = (photoVisibility) => ({
+  _id: biodataId,
+  email: 'owner@example.com',
+  photoVisibility,
+  profileImage: variants.jpeg,
+  profileImageVariants: variants,
+  primaryPhotoId: photoId,
+  photos: [{
+    _id: photoId,
+    url: variants.jpeg,
+    variants,
+    storageKeys: ['biodatas/abc/original.jpg', 'biodatas/abc/original.webp'],
+    moderation: { status: 'approved' },
+  }],
+});
+
+const isSignedUrl = (url) => url.startsWith('http://localhost:3000/') && /[?&]sig=/.test(url) && !url.includes('private:');
+
+describe('GET /biodatas/:id photo visibility', () => {
+  test('premium-only photos are blurred for members without premium', async () => {
+    ctx.db.stub('members', { findOne: async () => biodata('premium') });
+    const res = await ctx.api().get(`/biodatas/${biodataId}`).set(bearer('user-token'));
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.photoBlurred, true);
+    assert.strictEqual(res.body.profileImage, variants.blurred.jpeg);
+    assert.deepStrictEqual(res.body.profileImageVariants, { blurred: variants.blurred });
+    assert.strictEqual(res.body.photos[0].url, variants.blurred.jpeg);
+  });
+
+  test('premium-only photos are shown to premium members through signed URLs', async () => {
+    ctx.db.stub('members', { findOne: async () => biodata('premium') });
+    const res = await ctx.api().get(`/biodatas/${biodataId}`).set(bearer('premium-token'));
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.photoBlurred, false);
+    assert.ok(isSignedUrl(res.body.profileImage), res.body.profileImage);
+    assert.ok(isSignedUrl(res.body.photos[0].variants.webp), res.body.photos[0].variants.webp);
+    assert.strictEqual(res.body.photos[0].storageKeys, undefined);
+  });
+
+  test('contacts-only photos are blurred for premium members without an approved request', async () => {
+    ctx.db.stub('members', { findOne: async () => biodata('contacts') });
+    const res = await ctx.api().get(`/biodatas/${biodataId}`).set(bearer('premium-token'));
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.photoBlurred, true);
+  });
+
+  test('contacts-only photos are shown once a contact request is approved', async () => {
+    ctx.db.stub('members', { findOne: async () => biodata('contacts') });
+    ctx.db.stub('contactRequests', { find: () => cursorOf([{ requestedBiodataId: biodataId }]) });
+    const res = await ctx.api().get(`/biodatas/${biodataId}`).set(bearer('user-token'));
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.photoBlurred, false);
+    assert.ok(isSignedUrl(res.body.profileImage), res.body.profileImage);
+  });
+});
+
+describe('GET /photos/private', () => {
+  test('rejects requests without a valid signature', async () => {
+    const res = await ctx.api()
+      .get('/photos/private')
+      .query({ key: 'biodatas/abc/original.jpg', expires: String(Date.now() + 60000), sig: 'forged' });
+    assert.strictEqual(res.status, 403);
+  });
+});
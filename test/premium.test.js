@@ -0,0 +1,91 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { CRON_SECRET, bearer, useApp } = require('./support');
+
+const ctx = useApp();
+
+describe('POST /create-payment-intent', () => {
+  // Serve the member's premium requests by status
+  const stubRequests = (statuses) => {
+    ctx.db.stub('premiumRequests', {
+      findOne: async (query) => (statuses.includes(query.status) ? { userId: 'uid-user', status: query.status } : null),
+    });
+  };
+
+  test('refuses a second request while one is pending', async () => {
+    stubRequests(['pending']);
+    const res = await ctx.api()
+      .post('/create-payment-intent')
+      .set(bearer('user-token'))
+      .send({ name: 'Member', phone: '01700000000' });
+    assert.strictEqual(res.status, 409);
+  });
+
+  test('lets approved members renew', async () => {
+    stubRequests(['approved']);
+    // No default plan is stubbed, so getting as far as the plan lookup means the request was not refused
+    const res = await ctx.api()
+      .post('/create-payment-intent')
+      .set(bearer('user-token'))
+      .send({ name: 'Member', phone: '01700000000' });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.error, 'planId is required');
+  });
+
+  test('charges the price of the chosen plan', async () => {
+    const plan = { _id: new ObjectId(), name: 'Gold', price: 24.99, currency: 'usd', isActive: true };
+    ctx.db.stub('plans', { findOne: async ({ _id }) => (_id.equals(plan._id) ? plan : null) });
+    ctx.stripe.stub('customers', {
+      list: async () => ({ data: [] }),
+      create: async ({ email }) => ({ id: 'cus_new', email }),
+    });
+    let intent;
+    ctx.stripe.stub('paymentIntents', {
+      create: async (params) => {
+        intent = params;
+        return { client_secret: 'pi_secret' };
+      },
+    });
+
+    const res = await ctx.api()
+      .post('/create-payment-intent')
+      .set(bearer('user-token'))
+      .send({ name: 'Member', phone: '01700000000', planId: plan._id.toString() });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.client_secret, 'pi_secret');
+    assert.strictEqual(intent.amount, 2499);
+    assert.strictEqual(intent.currency, 'usd');
+    assert.strictEqual(intent.metadata.planId, plan._id.toString());
+  });
+});
+
+describe('GET /cron/expire-premiums', () => {
+  test('requires the cron secret', async () => {
+    const missing = await ctx.api().get('/cron/expire-premiums');
+    assert.strictEqual(missing.status, 401);
+
+    const wrong = await ctx.api().get('/cron/expire-premiums').set(bearer('not-the-secret'));
+    assert.strictEqual(wrong.status, 401);
+
+    const member = await ctx.api().get('/cron/expire-premiums').set(bearer('admin-token'));
+    assert.strictEqual(member.status, 401);
+  });
+
+  test('expires lapsed memberships and their approved requests', async () => {
+    const updates = {};
+    ['users', 'members', 'premiumRequests'].forEach((name) => ctx.db.stub(name, {
+      updateMany: async (filter, update) => {
+        updates[name] = { filter, update };
+        return { matchedCount: 0, modifiedCount: 0 };
+      },
+    }));
+
+    const res = await ctx.api().get('/cron/expire-premiums').set(bearer(CRON_SECRET));
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(updates.users.update.$set.isPremium, false);
+    assert.strictEqual(updates.members.update.$set.isPremium, false);
+    assert.strictEqual(updates.premiumRequests.filter.status, 'approved');
+    assert.strictEqual(updates.premiumRequests.update.$set.status, 'expired');
+  });
+});
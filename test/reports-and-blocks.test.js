@@ -0,0 +1,46 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { bearer, useApp } = require('./support');
+
+const ctx = useApp();
+
+const biodata = (name) => ({ _id: new ObjectId(), name, email: `${name}@example.com`, photos: [], deletedAt: null });
+
+const duplicateKey = async () => { throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }); };
+
+describe('POST /biodatas/:id/report', () => {
+  test('members cannot report their own biodata', async () => {
+    const own = biodata('user');
+    ctx.db.seed('members', [own]);
+    const res = await ctx.api().post(`/biodatas/${own._id}/report`).set(bearer('user-token')).send({ reason: 'fake_profile' });
+    assert.strictEqual(res.status, 400);
+  });
+
+  test('a second open report on the same biodata is a conflict', async () => {
+    const reported = biodata('reported');
+    ctx.db.seed('members', [reported]);
+    ctx.db.stub('reports', { insertOne: duplicateKey });
+    const res = await ctx.api().post(`/biodatas/${reported._id}/report`).set(bearer('user-token')).send({ reason: 'fake_profile' });
+    assert.strictEqual(res.status, 409);
+  });
+});
+
+describe('POST /blocks', () => {
+  test('blocking a member twice is a conflict', async () => {
+    ctx.db.stub('blocks', { insertOne: duplicateKey });
+    const res = await ctx.api().post('/blocks').set(bearer('user-token')).send({ email: 'Blocked@Example.com' });
+    assert.strictEqual(res.status, 409);
+  });
+
+  test('a blocked member\'s biodata is hidden from the blocker only', async () => {
+    const blocked = biodata('blocked');
+    ctx.db.seed('members', [blocked]);
+    ctx.db.seed('blocks', [{ _id: new ObjectId(), blockerEmail: 'user@example.com', blockedEmail: 'blocked@example.com' }]);
+
+    const blocker = await ctx.api().get(`/biodatas/${blocked._id}`).set(bearer('user-token'));
+    assert.strictEqual(blocker.status, 404);
+    const other = await ctx.api().get(`/biodatas/${blocked._id}`).set(bearer('premium-token'));
+    assert.strictEqual(other.status, 200);
+  });
+});
@@ -0,0 +1,38 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { useApp } = require('./support');
+
+const ctx = useApp();
+
+// Date of birth of someone who turned `years` old a week ago
+const dobFor = (years) => {
+  const date = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+  date.setUTCFullYear(date.getUTCFullYear() - years);
+  return date.toISOString().slice(0, 10);
+};
+
+const member = (name, fields) => ({
+  _id: new ObjectId(), name, email: `${name}@example.com`, biodataType: 'Female', deletedAt: null, ...fields,
+});
+
+describe('GET /biodatas/:id/similar', () => {
+  test('compares ages worked out from dob, and stored ages only where there is no dob', async () => {
+    // Stored ages are stale on purpose
+    const target = member('target', { dob: dobFor(30), age: 70 });
+    ctx.db.seed('members', [
+      target,
+      member('dob-near', { dob: dobFor(32), age: 60 }),
+      member('dob-far', { dob: dobFor(45), age: 31 }),
+      member('empty-dob-near', { dob: '', age: 29 }),
+      member('empty-dob-far', { dob: '', age: 50 }),
+    ]);
+
+    const res = await ctx.api().get(`/biodatas/${target._id}/similar`);
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(
+      res.body.biodatas.map(({ name, age, similarity }) => [name, age, similarity.age]),
+      [['empty-dob-near', 29, 33.33], ['dob-near', 32, 26.67]]
+    );
+  });
+});
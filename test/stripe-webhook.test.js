@@ -0,0 +1,169 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const Stripe = require('stripe');
+const { STRIPE_WEBHOOK_SECRET, useApp } = require('./support');
+
+const ctx = useApp();
+
+const stripe = new Stripe('sk_test_123');
+
+const failedPaymentEvent = {
+  id: 'evt_failed',
+  type: 'payment_intent.payment_failed',
+  data: {
+    object: {
+      id: 'pi_failed',
+      amount: 1000,
+      currency: 'usd',
+      customer: 'cus_1',
+      metadata: { userId: 'uid-user', email: 'user@example.com' },
+      last_payment_error: { message: 'Card declined' },
+    },
+  },
+};
+
+// POST `event` signed with `secret`, the way Stripe delivers it
+const deliver = (event, secret = STRIPE_WEBHOOK_SECRET) => {
+  const payload = JSON.stringify(event);
+  return ctx.api()
+    .post('/webhooks/stripe')
+    .set('Content-Type', 'application/json')
+    .set('Stripe-Signature', stripe.webhooks.generateTestHeaderString({ payload, secret }))
+    .send(payload);
+};
+
+describe('POST /webhooks/stripe', () => {
+  test('rejects a missing signature', async () => {
+    const res = await ctx.api().post('/webhooks/stripe').send(failedPaymentEvent);
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.error, 'Invalid signature');
+  });
+
+  test('rejects an event signed with another secret', async () => {
+    let recorded = false;
+    ctx.db.stub('stripeEvents', {
+      insertOne: async () => {
+        recorded = true;
+        return { insertedId: 'event' };
+      },
+    });
+    const res = await deliver(failedPaymentEvent, 'whsec_other');
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(recorded, false);
+  });
+
+  test('records a failed payment from a signed event', async () => {
+    const updates = [];
+    ctx.db.stub('payments', {
+      updateOne: async (filter, update) => {
+        updates.push({ filter, update });
+        return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+      },
+    });
+    const res = await deliver(failedPaymentEvent);
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body, { received: true });
+    assert.strictEqual(updates.length, 1);
+    assert.deepStrictEqual(updates[0].filter, { paymentIntentId: 'pi_failed' });
+    assert.strictEqual(updates[0].update.$set.status, 'failed');
+  });
+
+  test('acknowledges a redelivered event without handling it again', async () => {
+    let handled = false;
+    ctx.db.stub('stripeEvents', {
+      insertOne: async () => {
+        throw Object.assign(new Error('duplicate key'), { code: 11000 });
+      },
+    });
+    ctx.db.stub('payments', {
+      updateOne: async () => {
+        handled = true;
+        return { matchedCount: 1, modifiedCount: 1 };
+      },
+    });
+    const res = await deliver(failedPaymentEvent);
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body, { received: true, duplicate: true });
+    assert.strictEqual(handled, false);
+  });
+});
+
+describe('payment_intent.succeeded', () => {
+  const succeeded = {
+    id: 'evt_succeeded',
+    type: 'payment_intent.succeeded',
+    data: {
+      object: {
+        id: 'pi_paid',
+        amount: 1000,
+        currency: 'usd',
+        customer: 'cus_1',
+        latest_charge: null,
+        payment_method: null,
+        metadata: { userId: 'uid-user', email: 'User@Example.com', name: 'Member', phone: '01700000000' },
+      },
+    },
+  };
+  const duplicateKey = () => Object.assign(new Error('duplicate key'), { code: 11000 });
+
+  test('records the payment and opens a pending premium request', async () => {
+    let payment;
+    let premiumRequest;
+    ctx.db.stub('payments', {
+      updateOne: async (filter, update) => {
+        if (update.$setOnInsert) payment = update.$setOnInsert;
+        return { matchedCount: 0, modifiedCount: 0 };
+      },
+    });
+    ctx.db.stub('premiumRequests', {
+      insertOne: async (doc) => {
+        premiumRequest = doc;
+        return { insertedId: 'request' };
+      },
+    });
+
+    const res = await deliver(succeeded);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(payment.status, 'paid');
+    assert.strictEqual(payment.email, 'user@example.com');
+    assert.strictEqual(premiumRequest.status, 'pending');
+    assert.strictEqual(premiumRequest.paymentIntentId, 'pi_paid');
+  });
+
+  test('does nothing more for a payment that already has its request', async () => {
+    ctx.db.stub('premiumRequests', {
+      insertOne: async () => { throw duplicateKey(); },
+      findOne: async ({ paymentIntentId }) => (paymentIntentId === 'pi_paid' ? { paymentIntentId, status: 'pending' } : null),
+    });
+    // refunds.create is left unstubbed, so a refund attempt would fail the delivery
+
+    const res = await deliver(succeeded);
+    assert.strictEqual(res.status, 200);
+  });
+
+  test('refunds a payment made while another request is pending', async () => {
+    const refunds = [];
+    const paymentUpdates = [];
+    ctx.db.stub('premiumRequests', { insertOne: async () => { throw duplicateKey(); } });
+    ctx.db.stub('payments', {
+      findOne: async () => ({ paymentIntentId: 'pi_paid', status: 'paid' }),
+      updateOne: async (filter, update) => {
+        paymentUpdates.push(update);
+        return { matchedCount: 1, modifiedCount: 1 };
+      },
+    });
+    ctx.stripe.stub('refunds', {
+      create: async (params, options) => {
+        refunds.push({ params, options });
+        return { id: 're_1' };
+      },
+    });
+
+    const res = await deliver(succeeded);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(refunds.length, 1);
+    assert.strictEqual(refunds[0].params.payment_intent, 'pi_paid');
+    assert.strictEqual(refunds[0].options.idempotencyKey, 'premium-duplicate-refund-pi_paid');
+    assert.strictEqual(paymentUpdates.at(-1).$set.status, 'refund_pending');
+  });
+});
@@ -0,0 +1,235 @@
+// Shared setup for the route tests. The app runs against in-memory stand-ins for the MongoDB
+// collections and Firebase Auth, so no database or network access is needed.
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const { before, beforeEach } = require('node:test');
+const request = require('supertest');
+const { Aggregator } = require('mingo');
+const { ObjectId } = require('mongodb');
+
+// ID tokens accepted by the stubbed Firebase Auth, and the claims they carry
+const USERS = {
+  'user-token': { uid: 'uid-user', email: 'user@example.com', role: 'user', isPremium: false },
+  'premium-token': { uid: 'uid-premium', email: 'premium@example.com', role: 'user', isPremium: true },
+  'support-token': { uid: 'uid-support', email: 'support@example.com', role: 'support', isPremium: false },
+  'moderator-token': { uid: 'uid-moderator', email: 'moderator@example.com', role: 'moderator', isPremium: false },
+  'admin-token': { uid: 'uid-admin', email: 'admin@example.com', role: 'admin', isPremium: false },
+};
+
+const CRON_SECRET = 'test-cron-secret';
+const STRIPE_WEBHOOK_SECRET = 'whsec_test';
+
+// A find() or aggregate() result
+const cursorOf = (docs) => {
+  const cursor = {
+    sort: () => cursor,
+    skip: () => cursor,
+    limit: () => cursor,
+    project: () => cursor,
+    toArray: async () => docs,
+  };
+  return cursor;
+};
+
+// Every method resolves to an empty result; tests replace the ones the route under test reads
+const fakeCollectionMethods = () => ({
+  find: () => cursorOf([]),
+  aggregate: () => cursorOf([]),
+  findOne: async () => null,
+  countDocuments: async () => 0,
+  distinct: async () => [],
+  insertOne: async (doc) => ({ insertedId: doc._id || new ObjectId() }),
+  updateOne: async () => ({ matchedCount: 0, modifiedCount: 0 }),
+  updateMany: async () => ({ matchedCount: 0, modifiedCount: 0 }),
+  deleteOne: async () => ({ deletedCount: 0 }),
+  deleteMany: async () => ({ deletedCount: 0 }),
+  findOneAndUpdate: async () => null,
+  findOneAndDelete: async () => null,
+  bulkWrite: async () => ({ matchedCount: 0, modifiedCount: 0 }),
+  createIndex: async () => 'index',
+  createIndexes: async () => [],
+  dropIndex: async () => undefined,
+});
+
+// Read methods that run their filters and pipelines over `docs`, for tests of what a query selects.
+// `$lookup` reads the docs seeded for the other collection.
+const seededReadMethods = (docs, seeded) => {
+  const run = (pipeline) => new Aggregator(pipeline, { collectionResolver: (name) => seeded.get(name) || [] }).run(docs);
+  const cursorFor = (stages) => {
+    const cursor = {
+      sort: (sort) => { stages.push({ $sort: sort }); return cursor; },
+      skip: (skip) => { stages.push({ $skip: skip }); return cursor; },
+      limit: (limit) => { stages.push({ $limit: limit }); return cursor; },
+      project: (projection) => { stages.push({ $project: projection }); return cursor; },
+      toArray: async () => run(stages),
+    };
+    return cursor;
+  };
+  const find = (filter = {}, { sort, limit, projection } = {}) => cursorFor([
+    { $match: filter },
+    ...(sort ? [{ $sort: sort }] : []),
+    ...(limit ? [{ $limit: limit }] : []),
+    ...(projection ? [{ $project: projection }] : []),
+  ]);
+  return {
+    find,
+    aggregate: (pipeline) => cursorFor([...pipeline]),
+    findOne: async (filter, options) => (await find(filter, { ...options, limit: 1 }).toArray())[0] || null,
+    countDocuments: async (filter = {}) => run([{ $match: filter }]).length,
+  };
+};
+
+// The app keeps the collection objects it got from run(), so stub(), seed() and reset() change them in place
+const createFakeDb = () => {
+  const collections = new Map();
+  const seeded = new Map();
+  return {
+    collection(name) {
+      if (!collections.has(name)) collections.set(name, fakeCollectionMethods());
+      return collections.get(name);
+    },
+    stub(name, methods) {
+      return Object.assign(this.collection(name), methods);
+    },
+    seed(name, docs) {
+      seeded.set(name, docs);
+      return this.stub(name, seededReadMethods(docs, seeded));
+    },
+    reset() {
+      seeded.clear();
+      collections.forEach((collection) => Object.assign(collection, fakeCollectionMethods()));
+    },
+  };
+};
+
+// Stripe API calls the app makes. Each rejects until a test stubs it, so no test reaches Stripe.
+const STRIPE_METHODS = {
+  paymentIntents: ['create', 'retrieve'],
+  charges: ['retrieve'],
+  paymentMethods: ['retrieve'],
+  customers: ['create', 'retrieve', 'update', 'list', 'del'],
+  refunds: ['create'],
+};
+
+// Wraps the app's Stripe client; stub() and reset() replace methods on its resources
+const createFakeStripe = (client) => ({
+  stub(resource, methods) {
+    return Object.assign(client[resource], methods);
+  },
+  reset() {
+    Object.entries(STRIPE_METHODS).forEach(([resource, methods]) => methods.forEach((method) => {
+      client[resource][method] = async () => {
+        throw new Error(`stripe.${resource}.${method} is not stubbed`);
+      };
+    }));
+  },
+});
+
+// Firebase Auth accepting the tokens in USERS; stub() and reset() replace its other methods
+const fakeAuthMethods = () => ({
+  async getUserByEmail(email) {
+    const claims = Object.values(USERS).find((user) => user.email === email);
+    if (!claims) throw Object.assign(new Error('No user record'), { code: 'auth/user-not-found' });
+    return { uid: claims.uid, email };
+  },
+  async setCustomUserClaims() {},
+  async revokeRefreshTokens() {},
+  async deleteUser() {},
+});
+
+const fakeAuth = {
+  async verifyIdToken(token) {
+    const claims = USERS[token];
+    if (!claims) throw new Error('Invalid ID token');
+    return { ...claims, exp: Math.floor(Date.now() / 1000) + 3600 };
+  },
+  ...fakeAuthMethods(),
+  stub(methods) {
+    return Object.assign(this, methods);
+  },
+  reset() {
+    Object.assign(this, fakeAuthMethods());
+  },
+};
+
+/**
+ * Load index.js in test mode and run it against a fake database. Resolves to `{ app, db }`;
+ * call `db.reset()` between tests that stub collection methods.
+ */
+const startApp = async () => {
+  const { privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+  });
+  const uploads = path.join(os.tmpdir(), `matrimony-test-${process.pid}`);
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    FIREBASE_PROJECT_ID: 'matrimony-test',
+    FIREBASE_PRIVATE_KEY: privateKey,
+    FIREBASE_CLIENT_EMAIL: 'firebase-adminsdk@matrimony-test.iam.gserviceaccount.com',
+    DB_USER: 'test',
+    DB_PASS: 'test',
+    STRIPE_SECRET_KEY: 'sk_test_123',
+    STRIPE_WEBHOOK_SECRET,
+    CRON_SECRET,
+    IMAGE_STORAGE: 'local',
+    LOCAL_UPLOAD_DIR: path.join(uploads, 'public'),
+    LOCAL_PRIVATE_UPLOAD_DIR: path.join(uploads, 'private'),
+    PHOTO_URL_SECRET: 'test-photo-secret',
+    PUBLIC_BASE_URL: 'http://localhost:3000',
+  });
+
+  // The server logs a lot at startup and per request; keep the test output readable
+  console.log = () => {};
+  console.warn = () => {};
+
+  const admin = require('firebase-admin');
+  Object.defineProperty(admin, 'auth', { value: () => fakeAuth, configurable: true });
+
+  // index.js creates its Stripe client on load; keep hold of it so tests can stub its calls
+  const Stripe = require('stripe');
+  let stripeClient;
+  require.cache[require.resolve('stripe')].exports = Object.assign((...args) => {
+    stripeClient = Stripe(...args);
+    return stripeClient;
+  }, Stripe);
+
+  const app = require('../index');
+  const db = createFakeDb();
+  await app.run(db);
+  return { app, db, auth: fakeAuth, stripe: createFakeStripe(stripeClient) };
+};
+
+let started;
+
+/**
+ * Start the app once per test file and reset every stub before each test. Returns a context
+ * whose `app`, `db`, `auth` and `stripe` are filled in by the time the tests run, and `api()` for supertest.
+ */
+const useApp = () => {
+  const context = { api: () => request(context.app) };
+  before(async () => {
+    started = started || startApp();
+    Object.assign(context, await started);
+  });
+  beforeEach(() => {
+    context.db.reset();
+    context.auth.reset();
+    context.stripe.reset();
+  });
+  return context;
+};
+
+const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+module.exports = {
+  CRON_SECRET,
+  STRIPE_WEBHOOK_SECRET,
+  USERS,
+  bearer,
+  cursorOf,
+  startApp,
+  useApp,
+};